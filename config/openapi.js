@@ -0,0 +1,670 @@
+// OpenAPI 3 description of the API, served as JSON and rendered at /api/docs.
+// Every route in routes/*.js needs an entry here; `npm run docs:check` fails otherwise.
+
+const WebhookSubscriber = require('../models/WebhookSubscriber');
+
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const boolean = (description) => ({ type: 'boolean', description });
+const email = string('Email address', { format: 'email' });
+const password = string('Password', { format: 'password' });
+const otp = string('6-digit code', { pattern: '^[0-9]{6}$' });
+
+// JSON request body with the given properties
+const jsonBody = (properties, required = []) => ({
+  required: required.length > 0,
+  content: {
+    'application/json': {
+      schema: { type: 'object', required, properties }
+    }
+  }
+});
+
+const ref = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// Standard responses; `extra` maps status codes to descriptions or response objects
+const responses = (description, extra = {}) => {
+  const result = {
+    200: {
+      description,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } }
+    }
+  };
+
+  for (const [status, value] of Object.entries(extra)) {
+    result[status] = typeof value === 'string' ? ref(value) : value;
+  }
+
+  return result;
+};
+
+const authResponses = (description, extra = {}) => ({
+  ...responses(description, extra),
+  200: {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthTokens' } } }
+  }
+});
+
+const idParam = (description) => ({
+  name: 'id',
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string' }
+});
+
+// Operation helpers
+const publicOp = (tag, summary, extra = {}) => ({ tags: [tag], summary, security: [], ...extra });
+const privateOp = (tag, summary, extra = {}) => ({
+  tags: [tag],
+  summary,
+  ...extra,
+  responses: { 401: ref('Unauthorized'), ...(extra.responses || {}) }
+});
+
+// Stripe webhook endpoint: raw event body verified against the endpoint's signing secrets
+const webhookOp = (summary) => publicOp('Webhooks', summary, {
+  parameters: [{
+    name: 'Stripe-Signature',
+    in: 'header',
+    required: true,
+    schema: { type: 'string' }
+  }],
+  requestBody: {
+    required: true,
+    content: { 'application/json': { schema: { type: 'object', description: 'Stripe event' } } }
+  },
+  responses: {
+    200: { description: 'Event stored for processing (or already processed)' },
+    400: { description: 'Invalid signature or payload' },
+    500: { description: 'No signing secret configured for the endpoint' }
+  }
+});
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Stripe Subscription API',
+    version: '1.0.0',
+    description: 'Authentication, Stripe subscriptions with trials, and account management.'
+  },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'Auth', description: 'Registration, login and credentials' },
+    { name: 'Account', description: 'Profile, sessions, 2FA and personal data' },
+    { name: 'Subscriptions', description: 'Plans, checkout and subscription management' },
+    { name: 'Trial', description: 'Trial status and upgrades' },
+    { name: 'Webhooks', description: 'Inbound Stripe events' },
+    { name: 'Admin', description: 'Administration (admin role required)' }
+  ],
+  security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      cookieAuth: { type: 'apiKey', in: 'cookie', name: 'token' }
+    },
+    schemas: {
+      Success: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: true },
+          message: { type: 'string' },
+          data: { type: 'object' }
+        }
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: false },
+          error: { type: 'string' },
+          code: { type: 'string', description: 'Machine-readable error code, when available' }
+        }
+      },
+      User: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          email: { type: 'string', format: 'email' },
+          role: { type: 'string', enum: ['user', 'admin'] },
+          isEmailVerified: { type: 'boolean' },
+          hasEverSubscribed: { type: 'boolean' }
+        }
+      },
+      AuthTokens: {
+        type: 'object',
+        description: 'Either tokens, or a challenge when a second factor is required',
+        properties: {
+          success: { type: 'boolean', example: true },
+          message: { type: 'string' },
+          token: { type: 'string', description: 'Short-lived access token' },
+          refreshToken: { type: 'string', description: 'Single-use refresh token' },
+          user: { $ref: '#/components/schemas/User' },
+          requiresTwoFactor: { type: 'boolean' },
+          challengeToken: { type: 'string' }
+        }
+      }
+    },
+    responses: {
+      BadRequest: {
+        description: 'Invalid input',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      Unauthorized: {
+        description: 'Missing or invalid credentials',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      Forbidden: {
+        description: 'Not allowed',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      NotFound: {
+        description: 'Resource not found',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      Conflict: {
+        description: 'Conflicts with the current state',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      Locked: {
+        description: 'Account temporarily locked',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      TooManyRequests: {
+        description: 'Rate limit exceeded',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    }
+  },
+  paths: {
+    // Auth
+    '/auth/register': {
+      post: publicOp('Auth', 'Register a new user and email a verification code', {
+        requestBody: jsonBody({
+          name: string('Display name'),
+          email,
+          password
+        }, ['name', 'email', 'password']),
+        responses: responses('Verification code sent', { 400: 'BadRequest', 429: 'TooManyRequests' })
+      })
+    },
+    '/auth/login': {
+      post: publicOp('Auth', 'Log in with email and password', {
+        requestBody: jsonBody({ email, password }, ['email', 'password']),
+        responses: authResponses('Logged in, or second factor required', {
+          401: 'Unauthorized',
+          423: 'Locked',
+          429: 'TooManyRequests'
+        })
+      })
+    },
+    '/auth/login/2fa': {
+      post: publicOp('Auth', 'Complete a login with a 2FA or recovery code', {
+        requestBody: jsonBody({
+          challengeToken: string('Challenge token from /auth/login'),
+          code: string('Authenticator code'),
+          recoveryCode: string('Recovery code, instead of code')
+        }, ['challengeToken']),
+        responses: authResponses('Logged in', { 401: 'Unauthorized' })
+      })
+    },
+    '/auth/login/otp/request': {
+      post: publicOp('Auth', 'Email a passwordless login code', {
+        requestBody: jsonBody({
+          email,
+          challengeToken: string('Challenge token when the code is a second factor')
+        }, ['email']),
+        responses: responses('Code sent if the account exists', { 429: 'TooManyRequests' })
+      })
+    },
+    '/auth/login/otp/verify': {
+      post: publicOp('Auth', 'Log in with an emailed code', {
+        requestBody: jsonBody({
+          email,
+          otp,
+          challengeToken: string('Challenge token when the code is a second factor')
+        }, ['email', 'otp']),
+        responses: authResponses('Logged in', { 400: 'BadRequest', 423: 'Locked' })
+      })
+    },
+    '/auth/login/otp/second-factor': {
+      put: privateOp('Account', 'Require an emailed code after the password', {
+        requestBody: jsonBody({ enabled: boolean('Whether the second factor is required') }, ['enabled']),
+        responses: responses('Setting updated', { 400: 'BadRequest' })
+      })
+    },
+    '/auth/verify-otp': {
+      post: publicOp('Auth', 'Verify an emailed code (email verification or password reset)', {
+        requestBody: jsonBody({
+          email,
+          otp,
+          type: string('Code purpose', { enum: ['email_verification', 'password_reset'] })
+        }, ['email', 'otp']),
+        responses: authResponses('Code verified', { 400: 'BadRequest', 423: 'Locked' })
+      })
+    },
+    '/auth/forgot-password': {
+      post: publicOp('Auth', 'Email a password reset code', {
+        requestBody: jsonBody({ email }, ['email']),
+        responses: responses('Code sent', { 429: 'TooManyRequests' })
+      })
+    },
+    '/auth/reset-password': {
+      post: publicOp('Auth', 'Reset the password with a verified reset grant', {
+        requestBody: jsonBody({
+          email,
+          resetToken: string('Grant returned by /auth/verify-otp'),
+          newPassword: password,
+          revokeOtherSessions: boolean('Sign out every session')
+        }, ['email', 'resetToken', 'newPassword']),
+        responses: responses('Password reset', { 400: 'BadRequest' })
+      })
+    },
+    '/auth/resend-otp': {
+      post: publicOp('Auth', 'Resend an emailed code', {
+        requestBody: jsonBody({
+          email,
+          type: string('Code purpose (login codes: /auth/login/otp/request)', { enum: ['email_verification', 'password_reset'] })
+        }, ['email', 'type']),
+        responses: responses('Code sent', { 400: 'BadRequest', 429: 'TooManyRequests' })
+      })
+    },
+    '/auth/unlock': {
+      post: publicOp('Auth', 'Unlock an account with the emailed unlock token', {
+        requestBody: jsonBody({ email, token: string('Unlock token from the email') }, ['email', 'token']),
+        responses: responses('Account unlocked', { 400: 'BadRequest' })
+      })
+    },
+    '/auth/refresh': {
+      post: publicOp('Auth', 'Rotate the refresh token and get a new access token', {
+        requestBody: jsonBody({ refreshToken: string('Refresh token (or the refreshToken cookie)') }),
+        responses: authResponses('Tokens refreshed', { 401: 'Unauthorized' })
+      })
+    },
+    '/auth/logout': {
+      post: publicOp('Auth', 'Log out: revoke the session of the access token (or, once it expired, the refresh token)', {
+        requestBody: jsonBody({ refreshToken: string('Refresh token (or the refreshToken cookie)') }),
+        responses: responses('Logged out')
+      })
+    },
+    '/auth/change-password': {
+      post: privateOp('Auth', 'Change the password', {
+        requestBody: jsonBody({
+          currentPassword: password,
+          newPassword: password,
+          revokeOtherSessions: boolean('Sign out every other session')
+        }, ['currentPassword', 'newPassword']),
+        responses: responses('Password changed', { 400: 'BadRequest' })
+      })
+    },
+    '/auth/me': {
+      get: privateOp('Account', 'Get the current user', {
+        responses: responses('Current user')
+      }),
+      delete: privateOp('Account', 'Delete the account (after a grace period if configured)', {
+        requestBody: jsonBody({ password }, ['password']),
+        responses: responses('Account deleted or scheduled for deletion', { 400: 'BadRequest' })
+      })
+    },
+    '/auth/me/export': {
+      get: privateOp('Account', 'Download all personal data as JSON', {
+        responses: responses('Data export')
+      })
+    },
+    '/auth/me/restore': {
+      post: privateOp('Account', 'Cancel a scheduled account deletion', {
+        responses: responses('Deletion canceled', { 400: 'BadRequest' })
+      })
+    },
+    '/auth/change-email': {
+      post: privateOp('Account', 'Request an email change (code sent to the new address)', {
+        requestBody: jsonBody({ newEmail: email, password }, ['newEmail', 'password']),
+        responses: responses('Code sent', { 400: 'BadRequest' })
+      })
+    },
+    '/auth/change-email/confirm': {
+      post: privateOp('Account', 'Confirm the email change', {
+        requestBody: jsonBody({ otp }, ['otp']),
+        responses: responses('Email changed', { 400: 'BadRequest' })
+      })
+    },
+    '/auth/sessions': {
+      get: privateOp('Account', 'List signed-in devices', {
+        responses: responses('Active sessions')
+      })
+    },
+    '/auth/sessions/revoke-others': {
+      post: privateOp('Account', 'Sign out every other device', {
+        responses: responses('Sessions revoked')
+      })
+    },
+    '/auth/sessions/{id}': {
+      delete: privateOp('Account', 'Sign out one device', {
+        parameters: [idParam('Session id')],
+        responses: responses('Session revoked', { 404: 'NotFound' })
+      })
+    },
+    '/auth/2fa/enroll': {
+      post: privateOp('Account', 'Start authenticator-app 2FA enrollment', {
+        responses: responses('Secret and otpauth URL', { 400: 'BadRequest' })
+      })
+    },
+    '/auth/2fa/confirm': {
+      post: privateOp('Account', 'Confirm 2FA enrollment and get recovery codes', {
+        requestBody: jsonBody({ code: string('Authenticator code') }, ['code']),
+        responses: responses('2FA enabled', { 400: 'BadRequest' })
+      })
+    },
+    '/auth/2fa/disable': {
+      post: privateOp('Account', 'Disable 2FA', {
+        requestBody: jsonBody({
+          password,
+          code: string('Authenticator code'),
+          recoveryCode: string('Recovery code, instead of code')
+        }, ['password']),
+        responses: responses('2FA disabled', { 400: 'BadRequest' })
+      })
+    },
+
+    // Subscriptions
+    '/subscriptions/plans': {
+      get: publicOp('Subscriptions', 'List subscription plans', {
+        responses: responses('Plans')
+      })
+    },
+    '/subscriptions/success': {
+      get: publicOp('Subscriptions', 'Handle the redirect after a successful checkout', {
+        parameters: [{
+          name: 'session_id',
+          in: 'query',
+          required: true,
+          description: 'Stripe Checkout session id',
+          schema: { type: 'string' }
+        }],
+        responses: responses('Checkout details', { 400: 'BadRequest' })
+      })
+    },
+    '/subscriptions/create-checkout-session': {
+      post: privateOp('Subscriptions', 'Create a Stripe Checkout session for the plan that fits the user', {
+        responses: responses('Checkout session', { 400: 'BadRequest', 403: 'Forbidden', 429: 'TooManyRequests' })
+      })
+    },
+    '/subscriptions/current': {
+      get: privateOp('Subscriptions', 'Get the current subscription', {
+        responses: responses('Current subscription, or null')
+      })
+    },
+    '/subscriptions/cancel': {
+      post: privateOp('Subscriptions', 'Cancel the subscription at period end', {
+        responses: responses('Subscription canceled', { 404: 'NotFound' })
+      })
+    },
+    '/subscriptions/cancel-link': {
+      post: publicOp('Subscriptions', 'Cancel at period end with the one-click link from a trial email', {
+        requestBody: jsonBody({ token: string('Cancel link token from the email') }, ['token']),
+        responses: responses('Subscription canceled', { 400: 'BadRequest', 404: 'NotFound' })
+      })
+    },
+    '/subscriptions/reactivate': {
+      post: privateOp('Subscriptions', 'Undo a pending cancellation', {
+        responses: responses('Subscription reactivated', { 404: 'NotFound' })
+      })
+    },
+    '/subscriptions/history': {
+      get: privateOp('Subscriptions', 'List past and current subscriptions', {
+        responses: responses('Subscriptions')
+      })
+    },
+    '/subscriptions/payments': {
+      get: privateOp('Subscriptions', 'List payments', {
+        responses: responses('Payments')
+      })
+    },
+
+    // Trial
+    '/trial/status': {
+      get: privateOp('Trial', 'Get the trial status and whether the user should be charged (read-only)', {
+        responses: responses('Trial status')
+      })
+    },
+    '/trial/upgrade': {
+      post: privateOp('Trial', 'Schedule the move from the initial to the recurring plan', {
+        responses: responses('Subscription scheduled', {
+          400: 'BadRequest',
+          500: { description: 'Stripe request failed; the scheduled job retries it' }
+        })
+      })
+    },
+    '/trial/subscription': {
+      get: privateOp('Trial', 'Get the active subscription details', {
+        responses: responses('Subscription details', { 404: 'NotFound' })
+      })
+    },
+
+    // Webhooks
+    '/webhooks/stripe': {
+      post: webhookOp('Receive Stripe events for the platform account (verified with the Stripe-Signature header)')
+    },
+    '/webhooks/stripe/connect': {
+      post: webhookOp('Receive Stripe events from connected accounts (verified with the Connect signing secrets)')
+    },
+
+    // Admin
+    '/admin/users/locked': {
+      get: privateOp('Admin', 'List accounts currently locked out', {
+        responses: responses('Locked accounts', { 403: 'Forbidden' })
+      })
+    },
+    '/admin/users/{id}/lock': {
+      get: privateOp('Admin', 'Get the lockout state of an account', {
+        parameters: [idParam('User id')],
+        responses: responses('Lockout state', { 403: 'Forbidden', 404: 'NotFound' })
+      })
+    },
+    '/admin/users/{id}/unlock': {
+      post: privateOp('Admin', 'Clear all lockouts on an account', {
+        parameters: [idParam('User id')],
+        responses: responses('Account unlocked', { 403: 'Forbidden', 404: 'NotFound' })
+      })
+    },
+    '/admin/webhooks/events': {
+      get: privateOp('Admin', 'List stored Stripe webhook events (payloads omitted)', {
+        parameters: [
+          { name: 'customerId', in: 'query', schema: { type: 'string' }, description: 'Stripe customer id' },
+          { name: 'type', in: 'query', schema: { type: 'string' }, description: 'Event type' },
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', enum: ['received', 'processing', 'succeeded', 'failed', 'dead_letter'] }
+          },
+          { name: 'endpoint', in: 'query', schema: { type: 'string', enum: ['account', 'connect'] } },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200 } }
+        ],
+        responses: responses('Webhook events', { 403: 'Forbidden' })
+      })
+    },
+    '/admin/webhooks/events/replay': {
+      post: privateOp('Admin', 'Replay stored webhook events in a time range, oldest first', {
+        requestBody: jsonBody({
+          from: string('Start of the range (event creation time)', { format: 'date-time' }),
+          to: string('End of the range', { format: 'date-time' }),
+          customerId: string('Only events for this Stripe customer'),
+          type: string('Only events of this type'),
+          limit: { type: 'integer', minimum: 1, maximum: 500 },
+          dryRun: boolean('Report the changes instead of writing them')
+        }, ['from', 'to']),
+        responses: responses('Replay results', { 400: 'BadRequest', 403: 'Forbidden' })
+      })
+    },
+    '/admin/webhooks/events/{id}': {
+      get: privateOp('Admin', 'Get a stored webhook event with its payload', {
+        parameters: [idParam('Webhook event id or Stripe event id (evt_...)')],
+        responses: responses('Webhook event', { 403: 'Forbidden', 404: 'NotFound' })
+      })
+    },
+    '/admin/webhooks/events/{id}/replay': {
+      post: privateOp('Admin', 'Replay a stored webhook event', {
+        parameters: [idParam('Webhook event id or Stripe event id (evt_...)')],
+        requestBody: jsonBody({ dryRun: boolean('Report the changes instead of writing them') }),
+        responses: responses('Replay result', { 400: 'BadRequest', 403: 'Forbidden', 404: 'NotFound', 409: 'Conflict' })
+      })
+    },
+    '/admin/webhooks/events/{id}/retry': {
+      post: privateOp('Admin', 'Retry a failed or dead-lettered webhook event', {
+        parameters: [idParam('Webhook event id or Stripe event id (evt_...)')],
+        responses: responses('Retry result', { 400: 'BadRequest', 403: 'Forbidden', 404: 'NotFound' })
+      })
+    },
+    '/admin/webhooks/subscribers': {
+      get: privateOp('Admin', 'List outbound webhook subscribers', {
+        responses: responses('Subscribers and the available event types', { 403: 'Forbidden' })
+      }),
+      post: privateOp('Admin', 'Register an outbound webhook subscriber (the signing secret is returned once)', {
+        requestBody: jsonBody({
+          url: string('Endpoint that receives the events', { format: 'uri' }),
+          events: {
+            type: 'array',
+            items: { type: 'string', enum: [...WebhookSubscriber.EVENT_TYPES, '*'] },
+            description: "Event types to send ('*' for all)"
+          },
+          description: string('What the subscriber is for'),
+          isActive: boolean('Deliveries are only sent to active subscribers')
+        }, ['url', 'events']),
+        responses: {
+          201: { description: 'Subscriber created, with its signing secret' },
+          400: ref('BadRequest'),
+          403: ref('Forbidden')
+        }
+      })
+    },
+    '/admin/webhooks/subscribers/{id}': {
+      get: privateOp('Admin', 'Get an outbound webhook subscriber', {
+        parameters: [idParam('Subscriber id')],
+        responses: responses('Subscriber', { 403: 'Forbidden', 404: 'NotFound' })
+      }),
+      patch: privateOp('Admin', 'Update an outbound webhook subscriber', {
+        parameters: [idParam('Subscriber id')],
+        requestBody: jsonBody({
+          url: string('Endpoint that receives the events', { format: 'uri' }),
+          events: {
+            type: 'array',
+            items: { type: 'string', enum: [...WebhookSubscriber.EVENT_TYPES, '*'] },
+            description: "Event types to send ('*' for all)"
+          },
+          description: string('What the subscriber is for'),
+          isActive: boolean('Deliveries are only sent to active subscribers')
+        }),
+        responses: responses('Updated subscriber', { 400: 'BadRequest', 403: 'Forbidden', 404: 'NotFound' })
+      }),
+      delete: privateOp('Admin', 'Remove an outbound webhook subscriber', {
+        parameters: [idParam('Subscriber id')],
+        responses: responses('Subscriber removed', { 403: 'Forbidden', 404: 'NotFound' })
+      })
+    },
+    '/admin/webhooks/subscribers/{id}/rotate-secret': {
+      post: privateOp('Admin', 'Replace the signing secret of a subscriber (the new secret is returned once)', {
+        parameters: [idParam('Subscriber id')],
+        responses: responses('Subscriber with its new secret', { 403: 'Forbidden', 404: 'NotFound' })
+      })
+    },
+    '/admin/webhooks/subscribers/{id}/deliveries': {
+      get: privateOp('Admin', 'List deliveries to a subscriber, newest first', {
+        parameters: [
+          idParam('Subscriber id'),
+          {
+            name: 'status',
+            in: 'query',
+            schema: { type: 'string', enum: ['pending', 'processing', 'succeeded', 'failed', 'dead_letter'] }
+          },
+          { name: 'eventType', in: 'query', schema: { type: 'string' } },
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200 } }
+        ],
+        responses: responses('Deliveries', { 403: 'Forbidden' })
+      })
+    },
+    '/admin/webhooks/deliveries/{id}/retry': {
+      post: privateOp('Admin', 'Retry a failed or dead-lettered outbound delivery', {
+        parameters: [idParam('Delivery id')],
+        responses: responses('Retry result', { 400: 'BadRequest', 403: 'Forbidden', 404: 'NotFound' })
+      })
+    },
+    '/admin/payments/{id}/refund': {
+      post: privateOp('Admin', 'Refund a payment in full or in part', {
+        parameters: [
+          idParam('Payment id or Stripe payment intent id (pi_...)'),
+          {
+            name: 'Idempotency-Key',
+            in: 'header',
+            required: false,
+            description: 'Passed to Stripe; defaults to a key derived from the payment and amount',
+            schema: { type: 'string' }
+          }
+        ],
+        requestBody: jsonBody({
+          amount: { type: 'integer', minimum: 1, description: 'Amount in cents (defaults to the remaining refundable amount)' },
+          reason: string('Refund reason', { enum: ['duplicate', 'fraudulent', 'requested_by_customer'] }),
+          note: string('Internal note stored with the refund', { maxLength: 500 })
+        }, ['reason']),
+        responses: responses('Refund created', { 400: 'BadRequest', 403: 'Forbidden', 404: 'NotFound', 409: 'Conflict' })
+      })
+    },
+    '/admin/subscriptions/{id}/extend-trial': {
+      post: privateOp('Admin', 'Extend the trial of a subscription in its trial (recorded as a grant)', {
+        parameters: [idParam('Subscription id or Stripe subscription id (sub_...)')],
+        requestBody: jsonBody({
+          days: { type: 'integer', minimum: 1, maximum: 90, description: 'Days added to the current trial end' },
+          reason: string('Why the trial is extended (kept for auditing)', { maxLength: 500 })
+        }, ['days', 'reason']),
+        responses: responses('Grant and updated subscription', { 400: 'BadRequest', 403: 'Forbidden', 404: 'NotFound' })
+      })
+    },
+    '/admin/subscriptions/{id}/credit': {
+      post: privateOp('Admin', 'Credit the Stripe customer balance with free weeks or an amount (recorded as a grant)', {
+        parameters: [
+          idParam('Subscription id or Stripe subscription id (sub_...)'),
+          {
+            name: 'Idempotency-Key',
+            in: 'header',
+            required: false,
+            description: 'Passed to Stripe; defaults to a key derived from the subscription and amount',
+            schema: { type: 'string' }
+          }
+        ],
+        requestBody: jsonBody({
+          weeks: { type: 'integer', minimum: 1, maximum: 52, description: 'Free weeks at the recurring weekly price' },
+          amount: { type: 'integer', minimum: 1, description: 'Amount in cents (instead of weeks)' },
+          reason: string('Why the credit is granted (kept for auditing)', { maxLength: 500 })
+        }, ['reason']),
+        responses: responses('Grant and updated subscription', { 400: 'BadRequest', 403: 'Forbidden', 404: 'NotFound' })
+      })
+    },
+    '/admin/grants': {
+      get: privateOp('Admin', 'List trial extensions and credits granted by admins, newest first', {
+        parameters: [
+          { name: 'user', in: 'query', schema: { type: 'string' }, description: 'User id' },
+          { name: 'subscription', in: 'query', schema: { type: 'string' }, description: 'Subscription id' },
+          { name: 'grantedBy', in: 'query', schema: { type: 'string' }, description: 'Admin user id' },
+          { name: 'type', in: 'query', schema: { type: 'string', enum: ['trial_extension', 'credit'] } },
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200 } }
+        ],
+        responses: responses('Grants', { 403: 'Forbidden' })
+      })
+    },
+    '/admin/reconciliation': {
+      post: privateOp('Admin', 'Compare Stripe subscriptions and paid invoices with the database', {
+        requestBody: jsonBody({
+          repair: boolean('Re-sync mismatched subscriptions and record missing payments'),
+          customerId: string('Only check this Stripe customer (cus_...)')
+        }),
+        responses: responses('Reconciliation report', { 400: 'BadRequest', 403: 'Forbidden' })
+      })
+    }
+  }
+};
+
+module.exports = spec;
@@ -1,5 +1,11 @@
 const Stripe = require('stripe');
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+// STRIPE_API_HOST points the client at another API server, e.g. stripe-mock for local testing
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY, process.env.STRIPE_API_HOST ? {
+  host: process.env.STRIPE_API_HOST,
+  port: Number(process.env.STRIPE_API_PORT) || 12111,
+  protocol: process.env.STRIPE_API_PROTOCOL || 'http'
+} : undefined);
 
 // Stripe configuration
 const stripeConfig = {
@@ -69,32 +75,123 @@ const createStripeProducts = async () => {
   }
 };
 
-// Create subscription schedule
-const createSubscriptionSchedule = async (customerId, initialPriceId, recurringPriceId) => {
+// Add a number of price intervals to a UNIX timestamp (in seconds)
+const addPriceInterval = (timestamp, { interval, interval_count: count = 1 }) => {
+  const date = new Date(timestamp * 1000);
+
+  switch (interval) {
+    case 'day':
+      date.setUTCDate(date.getUTCDate() + count);
+      break;
+    case 'week':
+      date.setUTCDate(date.getUTCDate() + 7 * count);
+      break;
+    case 'month':
+      date.setUTCMonth(date.getUTCMonth() + count);
+      break;
+    case 'year':
+      date.setUTCFullYear(date.getUTCFullYear() + count);
+      break;
+    default:
+      throw new Error(`Unsupported price interval: ${interval}`);
+  }
+
+  return Math.floor(date.getTime() / 1000);
+};
+
+/**
+ * Put a checkout-created initial subscription on a two-phase schedule:
+ * the initial price for the trial plus one paid period, then the recurring price until canceled.
+ * The schedule is released after the first recurring period, leaving a plain weekly subscription.
+ * @param {Object} stripeSubscription - Stripe subscription on the initial price
+ * @param {string} recurringPriceId - Stripe price ID of the recurring plan
+ * @returns {Object} - Updated Stripe subscription schedule
+ */
+const createSubscriptionSchedule = async (stripeSubscription, recurringPriceId) => {
   try {
+    const initialPrice = stripeSubscription.items.data[0].price;
+    const paidFrom = stripeSubscription.trial_end || stripeSubscription.current_period_start;
+
     const schedule = await stripe.subscriptionSchedules.create({
-      customer: customerId,
-      start_date: 'now',
+      from_subscription: stripeSubscription.id
+    }, {
+      idempotencyKey: `schedule-${stripeSubscription.id}`
+    });
+
+    return await stripe.subscriptionSchedules.update(schedule.id, {
       end_behavior: 'release',
+      proration_behavior: 'none',
+      metadata: { userId: stripeSubscription.metadata?.userId || null },
       phases: [
         {
-          items: [{ price: initialPriceId, quantity: 1 }],
-          trial_period_days: 3, // free trial
+          items: [{ price: initialPrice.id, quantity: 1 }],
+          start_date: schedule.phases[0].start_date,
+          trial_end: stripeSubscription.trial_end || undefined,
+          // Subscriptions already past that point move over at their next renewal
+          end_date: Math.max(addPriceInterval(paidFrom, initialPrice.recurring), stripeSubscription.current_period_end || 0)
         },
         {
           items: [{ price: recurringPriceId, quantity: 1 }],
-          iterations: null // indefinite until canceled
+          iterations: 1, // then released; the subscription keeps the recurring price
+          proration_behavior: 'none',
+          // Copied to the subscription when the phase starts
+          metadata: {
+            ...stripeSubscription.metadata,
+            planType: 'recurring',
+            upgraded: 'true'
+          }
         }
       ]
+    }, {
+      idempotencyKey: `schedule-phases-${stripeSubscription.id}`
     });
-
-    return schedule;
   } catch (error) {
     console.error('Error creating subscription schedule:', error);
     throw error;
   }
 };
 
+// ID of a schedule phase item's price (expanded or not)
+const getPhasePriceId = (item) => (typeof item.price === 'string' ? item.price : item.price.id);
+
+/**
+ * Move the trial end of a subscription on the initial→recurring schedule
+ * The initial phase keeps one paid period after the new trial end, so the recurring phase moves too.
+ * @param {string} scheduleId - Stripe subscription schedule ID
+ * @param {number} trialEnd - New trial end (Unix timestamp)
+ * @returns {Object} - Updated Stripe subscription schedule
+ */
+const extendScheduleTrial = async (scheduleId, trialEnd) => {
+  try {
+    const schedule = await stripe.subscriptionSchedules.retrieve(scheduleId);
+    const [initialPhase, recurringPhase] = schedule.phases;
+    const initialPrice = await stripe.prices.retrieve(getPhasePriceId(initialPhase.items[0]));
+
+    return await stripe.subscriptionSchedules.update(scheduleId, {
+      proration_behavior: 'none',
+      phases: [
+        {
+          items: [{ price: initialPrice.id, quantity: 1 }],
+          start_date: initialPhase.start_date,
+          trial_end: trialEnd,
+          end_date: Math.max(addPriceInterval(trialEnd, initialPrice.recurring), initialPhase.end_date)
+        },
+        {
+          items: [{ price: getPhasePriceId(recurringPhase.items[0]), quantity: 1 }],
+          iterations: 1,
+          proration_behavior: 'none',
+          metadata: recurringPhase.metadata
+        }
+      ]
+    }, {
+      idempotencyKey: `schedule-trial-${scheduleId}-${trialEnd}`
+    });
+  } catch (error) {
+    console.error('Error extending subscription schedule trial:', error);
+    throw error;
+  }
+};
+
 // Get or create customer
 const getOrCreateCustomer = async (user) => {
   try {
@@ -123,10 +220,66 @@ const getOrCreateCustomer = async (user) => {
   }
 };
 
+// Push the user's current email to their Stripe customer
+const updateCustomerEmail = async (user) => {
+  if (!user.stripeCustomerId) {
+    return null;
+  }
+
+  try {
+    return await stripe.customers.update(user.stripeCustomerId, {
+      email: user.email
+    });
+  } catch (error) {
+    console.error('Error updating customer email:', error);
+    throw error;
+  }
+};
+
+// Webhook signing secrets per endpoint kind. Lists are comma-separated so a new secret can be
+// added before the old one is removed when rotating (STRIPE_WEBHOOK_SECRET is still read for
+// the account endpoint).
+const getWebhookSecrets = (endpoint) => {
+  const value = endpoint === 'connect'
+    ? process.env.STRIPE_CONNECT_WEBHOOK_SECRETS
+    : process.env.STRIPE_WEBHOOK_SECRETS || process.env.STRIPE_WEBHOOK_SECRET;
+
+  return (value || '').split(',').map(secret => secret.trim()).filter(Boolean);
+};
+
+/**
+ * Verify a webhook payload against each configured secret of an endpoint
+ * @param {Buffer} payload - Raw request body
+ * @param {string} signature - Stripe-Signature header
+ * @param {string} endpoint - 'account' or 'connect'
+ * @returns {Object} - { event, secretIndex } (index of the secret that matched)
+ */
+const constructWebhookEvent = (payload, signature, endpoint) => {
+  const secrets = getWebhookSecrets(endpoint);
+  if (secrets.length === 0) {
+    throw new Error(`No webhook signing secret configured for the ${endpoint} endpoint`);
+  }
+
+  let lastError;
+  for (const [secretIndex, secret] of secrets.entries()) {
+    try {
+      return { event: stripe.webhooks.constructEvent(payload, signature, secret), secretIndex };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
+
 module.exports = {
   stripe,
+  getWebhookSecrets,
+  constructWebhookEvent,
   stripeConfig,
   createStripeProducts,
   createSubscriptionSchedule,
-  getOrCreateCustomer
+  extendScheduleTrial,
+  getOrCreateCustomer,
+  updateCustomerEmail
 };
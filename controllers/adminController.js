@@ -0,0 +1,731 @@
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const WebhookSubscriber = require('../models/WebhookSubscriber');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Subscription = require('../models/Subscription');
+const Grant = require('../models/Grant');
+const { dispatchStripeEvent } = require('./webhookController');
+const { processWebhookEvent, replayWebhookEvent: replayStoredEvent } = require('../services/webhookWorker');
+const { reconcileStripeData } = require('../services/reconciliationService');
+const { recordRefund } = require('../services/paymentService');
+const { processDelivery } = require('../services/outboundWebhookService');
+const { getWeeklyAmount, extendTrial, grantCredit } = require('../services/grantService');
+const { stripe } = require('../config/stripe');
+const { ErrorResponse, asyncHandler } = require('../utils/errorHandler');
+
+// Lock state summary for admins
+const getLockState = (user) => ({
+  userId: user._id,
+  email: user.email,
+  loginAttempts: user.loginAttempts,
+  lockUntil: user.lockUntil,
+  isLoginLocked: user.isLoginLocked,
+  otpFailedAttempts: user.otpFailedAttempts,
+  otpLockUntil: user.otpLockUntil,
+  isOTPLocked: user.isOTPLocked
+});
+
+// @desc    List currently locked accounts
+// @route   GET /api/admin/users/locked
+// @access  Private (admin)
+const getLockedUsers = asyncHandler(async (req, res, next) => {
+  const now = new Date();
+
+  const users = await User.find({
+    $or: [
+      { lockUntil: { $gt: now } },
+      { otpLockUntil: { $gt: now } }
+    ]
+  }).sort({ lockUntil: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    data: users.map(getLockState)
+  });
+});
+
+// @desc    Get lock state of a user
+// @route   GET /api/admin/users/:id/lock
+// @access  Private (admin)
+const getUserLock = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: getLockState(user)
+  });
+});
+
+// @desc    Clear login and OTP lockouts of a user
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private (admin)
+const unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  user.resetLoginFailures();
+  user.resetOTPFailures();
+  await user.save();
+
+  console.log(`🔓 Admin ${req.user.email} unlocked account ${user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Account unlocked successfully',
+    data: getLockState(user)
+  });
+});
+
+// Stored webhook events can be addressed by document id or Stripe event id
+const findWebhookEvent = (id) => (
+  id.startsWith('evt_')
+    ? WebhookEvent.findOne({ stripeEventId: id })
+    : WebhookEvent.findById(id)
+);
+
+// Webhook event summary for admins (payload left out)
+const getWebhookEventState = (event) => ({
+  id: event._id,
+  stripeEventId: event.stripeEventId,
+  type: event.type,
+  endpoint: event.endpoint,
+  customerId: event.customerId,
+  status: event.status,
+  attempts: event.attempts,
+  lastError: event.lastError,
+  nextAttemptAt: event.nextAttemptAt,
+  processedAt: event.processedAt,
+  lastReplayedAt: event.lastReplayedAt,
+  stripeCreatedAt: event.stripeCreatedAt
+});
+
+// Build a WebhookEvent filter from customerId / type / status / endpoint / from / to
+const buildWebhookEventFilter = ({ customerId, type, status, endpoint, from, to }) => {
+  const filter = {};
+
+  if (customerId) filter.customerId = customerId;
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (endpoint) filter.endpoint = endpoint;
+
+  if (from || to) {
+    filter.stripeCreatedAt = {};
+    if (from) filter.stripeCreatedAt.$gte = new Date(from);
+    if (to) filter.stripeCreatedAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// @desc    List stored webhook events
+// @route   GET /api/admin/webhooks/events
+// @access  Private (admin)
+const getWebhookEvents = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const filter = buildWebhookEventFilter(req.query);
+
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(filter)
+      .select('-payload')
+      .sort({ stripeCreatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WebhookEvent.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    total,
+    page,
+    data: events.map(getWebhookEventState)
+  });
+});
+
+// @desc    Get a stored webhook event with its payload
+// @route   GET /api/admin/webhooks/events/:id
+// @access  Private (admin)
+const getWebhookEvent = asyncHandler(async (req, res, next) => {
+  const event = await findWebhookEvent(req.params.id);
+
+  if (!event) {
+    return next(new ErrorResponse('Webhook event not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...getWebhookEventState(event),
+      payload: event.payload
+    }
+  });
+});
+
+// @desc    Replay a stored webhook event (optionally as a dry run)
+// @route   POST /api/admin/webhooks/events/:id/replay
+// @access  Private (admin)
+const replayWebhookEvent = asyncHandler(async (req, res, next) => {
+  const dryRun = req.body.dryRun === true;
+  const event = await findWebhookEvent(req.params.id);
+
+  if (!event) {
+    return next(new ErrorResponse('Webhook event not found', 404));
+  }
+
+  if (event.status === 'processing') {
+    return next(new ErrorResponse('Webhook event is being processed, try again shortly', 409));
+  }
+
+  if (event.redactedAt) {
+    return next(new ErrorResponse('Webhook event payload was removed when the customer account was deleted', 400));
+  }
+
+  const result = await replayStoredEvent(event, dispatchStripeEvent, { dryRun });
+  if (!result) {
+    return next(new ErrorResponse('Webhook event is being processed, try again shortly', 409));
+  }
+
+  console.log(`🔁 Admin ${req.user.email} replayed webhook event ${event.stripeEventId}${dryRun ? ' (dry run)' : ''}`);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+// @desc    Replay stored webhook events in a time range, oldest first
+// @route   POST /api/admin/webhooks/events/replay
+// @access  Private (admin)
+const replayWebhookEvents = asyncHandler(async (req, res, next) => {
+  const { customerId, type, from, to } = req.body;
+  const dryRun = req.body.dryRun === true;
+  const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 100, 1), 500);
+
+  if (!from || !to) {
+    return next(new ErrorResponse('from and to are required', 400));
+  }
+
+  const events = await WebhookEvent.find({
+    ...buildWebhookEventFilter({ customerId, type, from, to }),
+    status: { $ne: 'processing' },
+    redactedAt: null
+  })
+    .sort({ stripeCreatedAt: 1 })
+    .limit(limit);
+
+  const results = [];
+  for (const event of events) {
+    const result = await replayStoredEvent(event, dispatchStripeEvent, { dryRun }) || {
+      id: event._id,
+      stripeEventId: event.stripeEventId,
+      type: event.type,
+      dryRun,
+      succeeded: false,
+      error: 'Webhook event is being processed'
+    };
+    results.push(result);
+
+    // Later events build on earlier ones, so a real replay stops at the first failure
+    if (!result.succeeded && !dryRun) break;
+  }
+
+  console.log(`🔁 Admin ${req.user.email} replayed ${results.length} webhook event(s)${dryRun ? ' (dry run)' : ''}`);
+
+  res.status(200).json({
+    success: true,
+    count: results.length,
+    data: results
+  });
+});
+
+// @desc    Retry a failed or dead-lettered webhook event
+// @route   POST /api/admin/webhooks/events/:id/retry
+// @access  Private (admin)
+const retryWebhookEvent = asyncHandler(async (req, res, next) => {
+  const event = await findWebhookEvent(req.params.id);
+
+  if (!event) {
+    return next(new ErrorResponse('Webhook event not found', 404));
+  }
+
+  if (!['failed', 'dead_letter'].includes(event.status)) {
+    return next(new ErrorResponse(`Only failed or dead-lettered events can be retried (status: ${event.status})`, 400));
+  }
+
+  await event.requeue();
+  await processWebhookEvent(event._id, dispatchStripeEvent);
+
+  const updated = await WebhookEvent.findById(event._id);
+
+  console.log(`🔁 Admin ${req.user.email} retried webhook event ${event.stripeEventId}: ${updated.status}`);
+
+  res.status(200).json({
+    success: true,
+    message: updated.status === 'succeeded' ? 'Webhook event processed' : 'Webhook event retry failed',
+    data: getWebhookEventState(updated)
+  });
+});
+
+// @desc    Compare Stripe with the database (optionally repairing what differs)
+// @route   POST /api/admin/reconciliation
+// @access  Private (admin)
+const runReconciliation = asyncHandler(async (req, res, next) => {
+  const repair = req.body.repair === true;
+  const { customerId } = req.body;
+
+  if (customerId !== undefined && (typeof customerId !== 'string' || !customerId.startsWith('cus_'))) {
+    return next(new ErrorResponse('customerId must be a Stripe customer ID', 400));
+  }
+
+  const report = await reconcileStripeData({
+    repair,
+    customerIds: customerId ? [customerId] : undefined
+  });
+
+  console.log(`🔍 Admin ${req.user.email} ran reconciliation${repair ? ' with repair' : ''}: ${report.discrepancyCount} discrepancy(ies)`);
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
+
+// Payments can be addressed by document id or Stripe payment intent id
+const findPayment = (id) => (
+  id.startsWith('pi_')
+    ? Payment.findOne({ stripePaymentIntentId: id })
+    : Payment.findById(id)
+);
+
+// @desc    Refund a payment in full or in part
+// @route   POST /api/admin/payments/:id/refund
+// @access  Private (admin)
+const refundPayment = asyncHandler(async (req, res, next) => {
+  const { reason, note } = req.body;
+  const payment = await findPayment(req.params.id);
+
+  if (!payment) {
+    return next(new ErrorResponse('Payment not found', 404));
+  }
+
+  if (payment.status !== 'succeeded') {
+    return next(new ErrorResponse(`Only succeeded payments can be refunded (status: ${payment.status})`, 400));
+  }
+
+  if (payment.isDisputed) {
+    return next(new ErrorResponse('Payment is disputed; it cannot be refunded until the dispute closes', 409));
+  }
+
+  const refundable = payment.amount - payment.refundAmount;
+  const amount = req.body.amount || refundable;
+
+  if (refundable <= 0) {
+    return next(new ErrorResponse('Payment has already been fully refunded', 400));
+  }
+
+  if (amount > refundable) {
+    return next(new ErrorResponse(`Amount exceeds the refundable amount of ${refundable}`, 400));
+  }
+
+  // The same request against the same refund state maps to the same Stripe refund,
+  // so a double submit or a retried request can't refund twice
+  const idempotencyKey = req.get('Idempotency-Key') || `refund-${payment._id}-${payment.refundAmount}-${amount}`;
+
+  let refund;
+  try {
+    refund = await stripe.refunds.create({
+      payment_intent: payment.stripePaymentIntentId,
+      amount,
+      reason,
+      metadata: {
+        paymentId: String(payment._id),
+        refundedBy: String(req.user._id),
+        ...(note && { note })
+      }
+    }, { idempotencyKey });
+  } catch (error) {
+    console.error('Stripe refund error:', error);
+    if (error.type === 'StripeInvalidRequestError' || error.type === 'StripeIdempotencyError') {
+      return next(new ErrorResponse(error.message, 400));
+    }
+    return next(new ErrorResponse('Failed to create refund', 500));
+  }
+
+  const updated = await recordRefund(payment, refund);
+
+  console.log(`↩️ Admin ${req.user.email} refunded ${amount} of payment ${payment._id} (${reason}): ${refund.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Refund created',
+    data: {
+      refund: {
+        id: refund.id,
+        amount: refund.amount,
+        currency: refund.currency,
+        status: refund.status,
+        reason: refund.reason
+      },
+      payment: {
+        id: updated._id,
+        amount: updated.amount,
+        refundAmount: updated.refundAmount,
+        refundable: Math.max(updated.amount - updated.refundAmount, 0),
+        refunded: updated.refunded
+      }
+    }
+  });
+});
+
+// Subscriptions can be addressed by document id or Stripe subscription id
+const findSubscription = (id) => (
+  id.startsWith('sub_')
+    ? Subscription.findOne({ stripeSubscriptionId: id })
+    : Subscription.findById(id)
+);
+
+// Grant errors Stripe rejects as invalid are the admin's to fix
+const handleGrantError = (error, next, message) => {
+  console.error(`${message}:`, error);
+  if (error.type === 'StripeInvalidRequestError' || error.type === 'StripeIdempotencyError') {
+    return next(new ErrorResponse(error.message, 400));
+  }
+  return next(new ErrorResponse(message, 500));
+};
+
+// Subscription fields changed by a grant
+const getGrantedSubscriptionState = (subscription) => ({
+  id: subscription._id,
+  status: subscription.status,
+  trialEnd: subscription.trialEnd,
+  recurringStartsAt: subscription.recurringStartsAt,
+  creditGranted: subscription.creditGranted
+});
+
+// @desc    Extend the trial of a subscription
+// @route   POST /api/admin/subscriptions/:id/extend-trial
+// @access  Private (admin)
+const extendSubscriptionTrial = asyncHandler(async (req, res, next) => {
+  const { days, reason } = req.body;
+  const subscription = await findSubscription(req.params.id);
+
+  if (!subscription) {
+    return next(new ErrorResponse('Subscription not found', 404));
+  }
+
+  if (!subscription.isInTrial) {
+    return next(new ErrorResponse(`Only subscriptions in their trial can be extended (status: ${subscription.status})`, 400));
+  }
+
+  let grant;
+  try {
+    grant = await extendTrial(subscription, { days, reason, admin: req.user });
+  } catch (error) {
+    return handleGrantError(error, next, 'Failed to extend trial');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Trial extended by ${days} day(s)`,
+    data: {
+      grant,
+      subscription: getGrantedSubscriptionState(subscription)
+    }
+  });
+});
+
+// @desc    Credit a subscription's customer with free weeks or an amount
+// @route   POST /api/admin/subscriptions/:id/credit
+// @access  Private (admin)
+const creditSubscription = asyncHandler(async (req, res, next) => {
+  const { weeks, reason } = req.body;
+  const subscription = await findSubscription(req.params.id);
+
+  if (!subscription) {
+    return next(new ErrorResponse('Subscription not found', 404));
+  }
+
+  if (['canceled', 'incomplete_expired'].includes(subscription.status)) {
+    return next(new ErrorResponse(`Subscription is ${subscription.status}; it can't be credited`, 400));
+  }
+
+  let amount = req.body.amount;
+  if (weeks) {
+    const weeklyAmount = await getWeeklyAmount();
+    if (!weeklyAmount) {
+      return next(new ErrorResponse('The recurring plan has no weekly price; give an amount instead', 400));
+    }
+    amount = weeks * weeklyAmount;
+  }
+
+  let grant;
+  try {
+    grant = await grantCredit(subscription, {
+      amount,
+      weeks: weeks || null,
+      reason,
+      admin: req.user,
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+  } catch (error) {
+    return handleGrantError(error, next, 'Failed to create credit');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Credit granted',
+    data: {
+      grant,
+      subscription: getGrantedSubscriptionState(subscription)
+    }
+  });
+});
+
+// @desc    List trial extensions and credits granted by admins
+// @route   GET /api/admin/grants
+// @access  Private (admin)
+const getGrants = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const filter = {};
+  if (req.query.user) filter.user = req.query.user;
+  if (req.query.subscription) filter.subscription = req.query.subscription;
+  if (req.query.grantedBy) filter.grantedBy = req.query.grantedBy;
+  if (req.query.type) filter.type = req.query.type;
+
+  const [grants, total] = await Promise.all([
+    Grant.find(filter)
+      .populate('grantedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Grant.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: grants.length,
+    total,
+    page,
+    data: grants
+  });
+});
+
+// Outbound webhook subscriber summary for admins (secret only shown when created or rotated)
+const getSubscriberState = (subscriber, { includeSecret = false } = {}) => ({
+  id: subscriber._id,
+  url: subscriber.url,
+  events: subscriber.events,
+  description: subscriber.description,
+  isActive: subscriber.isActive,
+  createdBy: subscriber.createdBy,
+  createdAt: subscriber.createdAt,
+  updatedAt: subscriber.updatedAt,
+  ...(includeSecret && { secret: subscriber.secret })
+});
+
+// Only these subscriber fields can be set through the API
+const pickSubscriberFields = ({ url, events, description, isActive }) => Object.fromEntries(
+  Object.entries({ url, events, description, isActive }).filter(([, value]) => value !== undefined)
+);
+
+// @desc    List outbound webhook subscribers
+// @route   GET /api/admin/webhooks/subscribers
+// @access  Private (admin)
+const getWebhookSubscribers = asyncHandler(async (req, res, next) => {
+  const subscribers = await WebhookSubscriber.find().sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: subscribers.length,
+    eventTypes: WebhookSubscriber.EVENT_TYPES,
+    data: subscribers.map(subscriber => getSubscriberState(subscriber))
+  });
+});
+
+// @desc    Register an outbound webhook subscriber
+// @route   POST /api/admin/webhooks/subscribers
+// @access  Private (admin)
+const createWebhookSubscriber = asyncHandler(async (req, res, next) => {
+  const subscriber = await WebhookSubscriber.create({
+    ...pickSubscriberFields(req.body),
+    secret: WebhookSubscriber.generateSecret(),
+    createdBy: req.user._id
+  });
+
+  console.log(`📡 Admin ${req.user.email} registered webhook subscriber ${subscriber.url} (${subscriber.events.join(', ')})`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook subscriber created. Store the secret now; it is not shown again.',
+    data: getSubscriberState(subscriber, { includeSecret: true })
+  });
+});
+
+// @desc    Get an outbound webhook subscriber
+// @route   GET /api/admin/webhooks/subscribers/:id
+// @access  Private (admin)
+const getWebhookSubscriber = asyncHandler(async (req, res, next) => {
+  const subscriber = await WebhookSubscriber.findById(req.params.id);
+
+  if (!subscriber) {
+    return next(new ErrorResponse('Webhook subscriber not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: getSubscriberState(subscriber)
+  });
+});
+
+// @desc    Update an outbound webhook subscriber (url, events, description, isActive)
+// @route   PATCH /api/admin/webhooks/subscribers/:id
+// @access  Private (admin)
+const updateWebhookSubscriber = asyncHandler(async (req, res, next) => {
+  const subscriber = await WebhookSubscriber.findById(req.params.id);
+
+  if (!subscriber) {
+    return next(new ErrorResponse('Webhook subscriber not found', 404));
+  }
+
+  subscriber.set(pickSubscriberFields(req.body));
+  await subscriber.save();
+
+  console.log(`📡 Admin ${req.user.email} updated webhook subscriber ${subscriber._id}`);
+
+  res.status(200).json({
+    success: true,
+    data: getSubscriberState(subscriber)
+  });
+});
+
+// @desc    Remove an outbound webhook subscriber
+// @route   DELETE /api/admin/webhooks/subscribers/:id
+// @access  Private (admin)
+const deleteWebhookSubscriber = asyncHandler(async (req, res, next) => {
+  const subscriber = await WebhookSubscriber.findByIdAndDelete(req.params.id);
+
+  if (!subscriber) {
+    return next(new ErrorResponse('Webhook subscriber not found', 404));
+  }
+
+  console.log(`📡 Admin ${req.user.email} removed webhook subscriber ${subscriber.url}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook subscriber removed'
+  });
+});
+
+// @desc    Replace the signing secret of an outbound webhook subscriber
+// @route   POST /api/admin/webhooks/subscribers/:id/rotate-secret
+// @access  Private (admin)
+const rotateWebhookSubscriberSecret = asyncHandler(async (req, res, next) => {
+  const subscriber = await WebhookSubscriber.findById(req.params.id);
+
+  if (!subscriber) {
+    return next(new ErrorResponse('Webhook subscriber not found', 404));
+  }
+
+  subscriber.secret = WebhookSubscriber.generateSecret();
+  await subscriber.save();
+
+  console.log(`🔑 Admin ${req.user.email} rotated the secret of webhook subscriber ${subscriber._id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Secret rotated. Store the new secret now; it is not shown again.',
+    data: getSubscriberState(subscriber, { includeSecret: true })
+  });
+});
+
+// @desc    List deliveries to an outbound webhook subscriber
+// @route   GET /api/admin/webhooks/subscribers/:id/deliveries
+// @access  Private (admin)
+const getWebhookDeliveries = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const filter = { subscriber: req.params.id };
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.eventType) filter.eventType = req.query.eventType;
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WebhookDelivery.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: deliveries.length,
+    total,
+    page,
+    data: deliveries
+  });
+});
+
+// @desc    Retry a failed or dead-lettered outbound webhook delivery
+// @route   POST /api/admin/webhooks/deliveries/:id/retry
+// @access  Private (admin)
+const retryWebhookDelivery = asyncHandler(async (req, res, next) => {
+  const delivery = await WebhookDelivery.findById(req.params.id);
+
+  if (!delivery) {
+    return next(new ErrorResponse('Webhook delivery not found', 404));
+  }
+
+  if (!['failed', 'dead_letter'].includes(delivery.status)) {
+    return next(new ErrorResponse(`Only failed or dead-lettered deliveries can be retried (status: ${delivery.status})`, 400));
+  }
+
+  await delivery.requeue();
+  await processDelivery(delivery._id);
+
+  const updated = await WebhookDelivery.findById(delivery._id);
+
+  console.log(`🔁 Admin ${req.user.email} retried webhook delivery ${delivery._id}: ${updated.status}`);
+
+  res.status(200).json({
+    success: true,
+    message: updated.status === 'succeeded' ? 'Webhook delivered' : 'Webhook delivery retry failed',
+    data: updated
+  });
+});
+
+module.exports = {
+  getLockedUsers,
+  getUserLock,
+  unlockUser,
+  getWebhookEvents,
+  getWebhookEvent,
+  retryWebhookEvent,
+  replayWebhookEvent,
+  replayWebhookEvents,
+  runReconciliation,
+  refundPayment,
+  extendSubscriptionTrial,
+  creditSubscription,
+  getGrants,
+  getWebhookSubscribers,
+  createWebhookSubscriber,
+  getWebhookSubscriber,
+  updateWebhookSubscriber,
+  deleteWebhookSubscriber,
+  rotateWebhookSubscriberSecret,
+  getWebhookDeliveries,
+  retryWebhookDelivery
+};
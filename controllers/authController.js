@@ -1,10 +1,158 @@
 const User = require('../models/User');
 const OTP = require('../models/OTP');
+const Session = require('../models/Session');
 const { ErrorResponse, asyncHandler } = require('../utils/errorHandler');
-const { sendTokenResponse } = require('../utils/jwt');
-const { sendOTPEmail, sendWelcomeEmail } = require('../utils/email');
+const {
+  sendTokenResponse,
+  sendSessionTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+  parseRefreshToken,
+  clearAuthCookies
+} = require('../utils/jwt');
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpAuthUrl,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} = require('../utils/totp');
+const {
+  sendOTPEmail,
+  sendWelcomeEmail,
+  sendAccountLockedEmail,
+  sendNewSignInEmail,
+  sendEmailChangeNoticeEmail
+} = require('../utils/email');
+const { updateCustomerEmail } = require('../config/stripe');
+const {
+  buildUserExport,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountService');
 const crypto = require('crypto');
 
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// Verify an OTP for a user, counting failures across all of the user's OTPs.
+// Returns null on success, or the ErrorResponse to pass to next().
+const checkUserOTP = async (user, otpRecord, otp) => {
+  if (user.isOTPLocked) {
+    return new ErrorResponse('Too many failed attempts. Account is temporarily locked', 423, 'ACCOUNT_LOCKED');
+  }
+
+  const verificationResult = otpRecord
+    ? otpRecord.verifyOTP(otp)
+    : { success: false, message: 'Invalid or expired OTP' };
+
+  if (otpRecord) {
+    await otpRecord.save(); // save attempt count / used flag
+  }
+
+  if (verificationResult.success) {
+    if (user.otpFailedAttempts > 0) {
+      user.resetOTPFailures();
+      await user.save();
+    }
+    return null;
+  }
+
+  const locked = user.registerOTPFailure();
+  let unlockToken;
+  if (locked) {
+    unlockToken = user.getUnlockToken();
+  }
+  await user.save();
+
+  if (!locked) {
+    return new ErrorResponse(verificationResult.message, 400);
+  }
+
+  console.warn(`⚠️ OTP verification locked for ${user.email} until ${user.otpLockUntil.toISOString()}`);
+
+  try {
+    const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?email=${encodeURIComponent(user.email)}&token=${unlockToken}`;
+    await sendAccountLockedEmail(user.email, user.name, unlockUrl, user.otpLockUntil);
+  } catch (error) {
+    console.error('Failed to send account locked email:', error);
+  }
+
+  return new ErrorResponse('Too many failed attempts. Account is temporarily locked', 423, 'ACCOUNT_LOCKED');
+};
+
+// Replace any pending login OTP with a fresh one and email it
+const issueLoginOTP = async (user, req) => {
+  await OTP.deleteMany({ email: user.email, type: 'login', isUsed: false });
+
+  const otp = OTP.generateOTP();
+  await OTP.create({
+    email: user.email,
+    otp,
+    type: 'login',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  await sendOTPEmail(user.email, otp, 'login');
+};
+
+// Error for a login attempt while the account is locked
+const loginLockedError = (user) =>
+  new ErrorResponse(
+    `Too many failed login attempts. Try again after ${user.lockUntil.toISOString()}`,
+    423,
+    'ACCOUNT_LOCKED'
+  );
+
+// Count a failed login step and return the error to report
+const handleLoginFailure = async (user, message) => {
+  const locked = user.registerLoginFailure();
+  await user.save();
+
+  if (locked) {
+    console.warn(`⚠️ Login locked for ${user.email} until ${user.lockUntil.toISOString()}`);
+    return loginLockedError(user);
+  }
+
+  return new ErrorResponse(message, 401);
+};
+
+// Reset failure tracking and notify the user about sign-ins from new devices
+const recordSignIn = async (user, req) => {
+  const ipAddress = req.ip;
+  const userAgent = req.get('User-Agent');
+
+  user.resetLoginFailures();
+  user.lastLogin = new Date();
+  const isNewDevice = user.recordDevice(ipAddress, userAgent);
+  await user.save();
+
+  if (isNewDevice) {
+    try {
+      await sendNewSignInEmail(user.email, user.name, { ipAddress, userAgent, time: user.lastLogin });
+    } catch (error) {
+      console.error('Failed to send new sign-in email:', error);
+    }
+  }
+};
+
+// Finish a login whose first step passed: issue tokens, or a 2FA challenge if enabled
+const completeLogin = async (user, req, res, message) => {
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      requires2FA: true,
+      challengeToken: generateChallengeToken(user, '2fa')
+    });
+  }
+
+  await recordSignIn(user, req);
+  return sendTokenResponse(user, 200, req, res, message);
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -21,7 +169,8 @@ const register = asyncHandler(async (req, res, next) => {
   const user = await User.create({
     name,
     email,
-    password
+    password,
+    signupIp: req.ip
   });
 
   // Generate OTP for email verification
@@ -66,31 +215,23 @@ const verifyOTP = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Email, OTP, and type are required', 400));
   }
 
-  // Find OTP record
+  // Get user
+  const user = await User.findOne({ email });
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired OTP', 400));
+  }
+
+  // Find latest OTP record
   const otpRecord = await OTP.findOne({
     email,
     type,
     isUsed: false
-  });
-
-  if (!otpRecord) {
-    return next(new ErrorResponse('Invalid or expired OTP', 400));
-  }
+  }).sort({ createdAt: -1 });
 
-  // Verify OTP
-  const verificationResult = otpRecord.verifyOTP(otp);
-  if (!verificationResult.success) {
-    await otpRecord.save(); // save attempt count
-    return next(new ErrorResponse(verificationResult.message, 400));
-  }
-
-  // Mark OTP as used
-  await otpRecord.save();
-
-  // Get user
-  const user = await User.findOne({ email });
-  if (!user) {
-    return next(new ErrorResponse('User not found', 404));
+  // Verify OTP (marks it used on success)
+  const otpError = await checkUserOTP(user, otpRecord, otp);
+  if (otpError) {
+    return next(otpError);
   }
 
   // Handle type-specific logic
@@ -104,15 +245,20 @@ const verifyOTP = asyncHandler(async (req, res, next) => {
       console.error('Failed to send welcome email:', error);
     }
 
-    return sendTokenResponse(user, 200, res, 'Email verified successfully');
+    return completeLogin(user, req, res, 'Email verified successfully');
   }
 
   if (type === 'password_reset') {
-    
+    // Issue a single-use grant that /reset-password must present
+    const resetToken = user.getResetPasswordToken();
+    await user.save();
+
     return res.status(200).json({
       success: true,
       message: 'OTP verified successfully. You may now reset your password.',
-      email: user.email
+      email: user.email,
+      resetToken,
+      resetTokenExpiresAt: user.resetPasswordExpire
     });
   }
 
@@ -129,9 +275,12 @@ const login = asyncHandler(async (req, res, next) => {
   const user = await User.findOne({ email }).select('+password');
   if (!user) return next(new ErrorResponse('Invalid credentials', 401));
 
+  // Refuse while locked, without checking the password
+  if (user.isLoginLocked) return next(loginLockedError(user));
+
   // Check password
   const isMatch = await user.matchPassword(password);
-  if (!isMatch) return next(new ErrorResponse('Invalid credentials', 401));
+  if (!isMatch) return next(await handleLoginFailure(user, 'Invalid credentials'));
 
   // Check if user is active
   if (!user.isActive) return next(new ErrorResponse('Account is deactivated', 401));
@@ -142,51 +291,19 @@ const login = asyncHandler(async (req, res, next) => {
 
   // If email not verified, send OTP
   if (!user.isEmailVerified) {
-    const existingOTP = await OTP.findOne({
+    // Codes are only stored hashed, so always issue a fresh one
+    await OTP.deleteMany({ email: user.email, type: 'email_verification', isUsed: false });
+
+    const otpToSend = OTP.generateOTP();
+
+    await OTP.create({
       email: user.email,
-      type: 'email_verification'
+      otp: otpToSend,
+      type: 'email_verification',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
     });
 
-    let otpToSend;
-
-    if (existingOTP) {
-      const now = new Date();
-      const otpExpiry = new Date(existingOTP.expiresAt); // assuming expiresAt field exists
-
-      if (otpExpiry < now) {
-        // expired — remove and regenerate new one
-        await OTP.deleteOne({ _id: existingOTP._id });
-
-        const newOtp = OTP.generateOTP();
-        otpToSend = newOtp;
-
-        await OTP.create({
-          email: user.email,
-          otp: newOtp,
-          type: 'email_verification',
-          ipAddress: req.ip,
-          userAgent: req.get('User-Agent'),
-          expiresAt: new Date(Date.now() + process.env.OTP_EXPIRE_MINUTES * 60 * 1000) // 10 min validity
-        });
-      } else {
-        // existing OTP still valid — reuse it
-        otpToSend = existingOTP.otp;
-      }
-    } else {
-      // No OTP found — create new
-      const newOtp = OTP.generateOTP();
-      otpToSend = newOtp;
-
-      await OTP.create({
-        email: user.email,
-        otp: newOtp,
-        type: 'email_verification',
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        expiresAt: new Date(Date.now() + process.env.OTP_EXPIRE_MINUTES * 60 * 1000)
-      });
-    }
-
     try {
       await sendOTPEmail(user.email, otpToSend, 'email_verification');
     } catch (error) {
@@ -202,19 +319,230 @@ const login = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Generate JWT and send response
-  sendTokenResponse(user, 200, res, 'Login successful');
+  // Accounts with email OTP as a second factor get a code instead of tokens
+  if (user.emailOtpSecondFactor) {
+    try {
+      await issueLoginOTP(user, req);
+    } catch (error) {
+      console.error('Failed to send login OTP email:', error);
+      return next(new ErrorResponse('Failed to send OTP email', 500));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login OTP sent to your email',
+      requiresLoginOTP: true,
+      challengeToken: generateChallengeToken(user, 'login_otp')
+    });
+  }
+
+  // Generate JWT (or 2FA challenge) and send response
+  await completeLogin(user, req, res, 'Login successful');
 });
 
+// @desc    Request an emailed login code (passwordless login)
+// @route   POST /api/auth/login/otp/request
+// @access  Public
+const requestLoginOTP = asyncHandler(async (req, res, next) => {
+  const { email, challengeToken } = req.body;
 
-// @desc    Logout user / clear cookie
-// @route   POST /api/auth/logout
+  const canRequest = await OTP.canRequestNewOTP(email, 'login');
+  if (!canRequest) {
+    return next(new ErrorResponse('Please wait before requesting a new OTP', 429));
+  }
+
+  // Always answer the same way so the endpoint cannot be used to discover accounts
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a login code has been sent'
+  };
+
+  const user = await User.findOne({ email });
+  if (!user || !user.isActive) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // Second-factor accounts only get a code after the password step
+  if (user.emailOtpSecondFactor) {
+    const decoded = verifyChallengeToken(challengeToken, 'login_otp');
+    if (!decoded || decoded.id !== user._id.toString()) {
+      return res.status(200).json(genericResponse);
+    }
+  }
+
+  try {
+    await issueLoginOTP(user, req);
+  } catch (error) {
+    console.error('Failed to send login OTP email:', error);
+    return next(new ErrorResponse('Failed to send OTP email', 500));
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+// @desc    Sign in with an emailed login code
+// @route   POST /api/auth/login/otp/verify
+// @access  Public
+const verifyLoginOTP = asyncHandler(async (req, res, next) => {
+  const { email, otp, challengeToken } = req.body;
+
+  const user = await User.findOne({ email });
+  if (!user || !user.isActive) {
+    return next(new ErrorResponse('Invalid or expired OTP', 400));
+  }
+
+  if (user.emailOtpSecondFactor) {
+    const decoded = verifyChallengeToken(challengeToken, 'login_otp');
+    if (!decoded || decoded.id !== user._id.toString()) {
+      return next(new ErrorResponse('Please log in with your password first', 401));
+    }
+  }
+
+  const otpRecord = await OTP.findOne({
+    email: user.email,
+    type: 'login',
+    isUsed: false
+  }).sort({ createdAt: -1 });
+
+  const otpError = await checkUserOTP(user, otpRecord, otp);
+  if (otpError) {
+    return next(otpError);
+  }
+
+  // Receiving the code proves ownership of the address
+  user.isEmailVerified = true;
+  user.lastLogin = new Date();
+  await user.save();
+
+  await completeLogin(user, req, res, 'Login successful');
+});
+
+// @desc    Turn email OTP as a second login factor on or off
+// @route   PUT /api/auth/login/otp/second-factor
 // @access  Private
-const logout = asyncHandler(async (req, res, next) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
+const setLoginOTPSecondFactor = asyncHandler(async (req, res, next) => {
+  const { enabled } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    return next(new ErrorResponse('enabled must be true or false', 400));
+  }
+
+  const user = await User.findById(req.user.id);
+  user.emailOtpSecondFactor = enabled;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: enabled
+      ? 'Login codes will be emailed after your password'
+      : 'Email login codes are no longer required after your password',
+    data: {
+      emailOtpSecondFactor: user.emailOtpSecondFactor
+    }
   });
+});
+
+// @desc    Complete login with a 2FA code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires challenge token from login)
+const loginTwoFactor = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new ErrorResponse('Challenge token and code or recovery code are required', 400));
+  }
+
+  const decoded = verifyChallengeToken(challengeToken, '2fa');
+  if (!decoded) {
+    return next(new ErrorResponse('Login challenge is invalid or has expired. Please log in again', 401));
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+  if (!user || !user.isActive) {
+    return next(new ErrorResponse('Invalid credentials', 401));
+  }
+
+  if (user.isLoginLocked) {
+    return next(loginLockedError(user));
+  }
+
+  // Failed codes count towards the same lockout as failed passwords
+  const result = user.verifyTwoFactorCode({ code, recoveryCode });
+  if (!result.success) {
+    return next(await handleLoginFailure(user, result.message));
+  }
+
+  if (result.method === 'recovery_code') {
+    console.log(`🔑 User ${user.email} signed in with a recovery code (${user.twoFactorRecoveryCodes.length} left)`);
+  }
+
+  await recordSignIn(user, req);
+  await sendTokenResponse(user, 200, req, res, 'Login successful');
+});
+
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = asyncHandler(async (req, res, next) => {
+  const presentedToken = req.body.refreshToken || req.cookies.refreshToken;
+  if (!presentedToken) {
+    return next(new ErrorResponse('Refresh token is required', 401));
+  }
+
+  const parsed = parseRefreshToken(presentedToken);
+  if (!parsed) {
+    return next(new ErrorResponse('Invalid refresh token', 401));
+  }
+
+  const nextSecret = Session.generateRefreshSecret();
+  const session = await Session.rotateRefreshToken(parsed.sessionId, parsed.secret, nextSecret);
+
+  if (!session) {
+    // Either the token is unknown, the session is over, or the token was already rotated.
+    // A rotated token being presented again means it leaked: kill the whole session.
+    const existingSession = await Session.findById(parsed.sessionId).select('+previousTokenHashes');
+
+    if (existingSession && existingSession.wasTokenRotated(parsed.secret)) {
+      existingSession.revoke('refresh_token_reuse');
+      await existingSession.save();
+      console.warn(`⚠️ Refresh token reuse detected, session ${existingSession._id} revoked`);
+      return next(new ErrorResponse('Refresh token reuse detected. Please log in again.', 401));
+    }
+
+    return next(new ErrorResponse('Invalid or expired refresh token', 401));
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    return next(new ErrorResponse('Invalid or expired refresh token', 401));
+  }
+
+  sendSessionTokens(user, session, nextSecret, 200, res, 'Token refreshed');
+});
+
+// @desc    Logout user / revoke session and clear cookies
+// @route   POST /api/auth/logout
+// @access  Public (session from the access token, or from the refresh token once it expired)
+const logout = asyncHandler(async (req, res, next) => {
+  let session = req.authSession;
+
+  if (!session) {
+    const parsed = parseRefreshToken(req.body.refreshToken || req.cookies.refreshToken);
+    const candidate = parsed && await Session.findById(parsed.sessionId).select('+refreshTokenHash');
+
+    // Only the holder of the session's current refresh token can end it
+    if (candidate && candidate.refreshTokenHash === Session.hashToken(parsed.secret)) {
+      session = candidate;
+    }
+  }
+
+  if (session) {
+    session.revoke('logout');
+    await session.save();
+  }
+
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -222,6 +550,37 @@ const logout = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Unlock account with the link from the lock email
+// @route   POST /api/auth/unlock
+// @access  Public
+const unlockAccount = asyncHandler(async (req, res, next) => {
+  const { email, token } = req.body;
+
+  if (!email || !token) {
+    return next(new ErrorResponse('Email and unlock token are required', 400));
+  }
+
+  const hashedToken = crypto.createHash('sha256').update(String(token)).digest('hex');
+
+  const user = await User.findOne({
+    email: String(email).toLowerCase(),
+    unlockToken: hashedToken,
+    unlockTokenExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired unlock link', 400));
+  }
+
+  user.resetOTPFailures();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Account unlocked successfully'
+  });
+});
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -237,11 +596,83 @@ const getMe = asyncHandler(async (req, res, next) => {
       role: user.role,
       isEmailVerified: user.isEmailVerified,
       hasEverSubscribed: user.hasEverSubscribed,
+      twoFactorEnabled: user.twoFactorEnabled,
+      emailOtpSecondFactor: user.emailOtpSecondFactor,
+      deletionScheduledFor: user.deletionScheduledFor,
       createdAt: user.createdAt
     }
   });
 });
 
+// @desc    Export all data stored about the current user
+// @route   GET /api/auth/me/export
+// @access  Private
+const exportMyData = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const data = await buildUserExport(user);
+
+  res.setHeader('Content-Disposition', `attachment; filename="account-export-${user._id}.json"`);
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+// @desc    Delete current user account
+// @route   DELETE /api/auth/me
+// @access  Private
+const deleteMe = asyncHandler(async (req, res, next) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return next(new ErrorResponse('Password is required to delete your account', 400));
+  }
+
+  const user = await User.findById(req.user.id).select('+password');
+
+  const isMatch = await user.matchPassword(password);
+  if (!isMatch) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  if (user.deletionScheduledFor) {
+    return next(new ErrorResponse('Account deletion is already scheduled', 400));
+  }
+
+  const result = await requestAccountDeletion(user);
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    message: result.deleted
+      ? 'Account deleted successfully'
+      : 'Account scheduled for deletion. Log in and restore it before the deletion date to keep it.',
+    data: {
+      deleted: result.deleted,
+      scheduledFor: result.scheduledFor
+    }
+  });
+});
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/me/restore
+// @access  Private
+const restoreMe = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.deletionScheduledFor) {
+    return next(new ErrorResponse('Account is not scheduled for deletion', 400));
+  }
+
+  await cancelAccountDeletion(user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Account deletion canceled. Reactivate your subscription to resume billing.'
+  });
+});
+
 // @desc    Forgot password
 // @route   POST /api/auth/forgot-password
 // @access  Public
@@ -257,6 +688,13 @@ const forgotPassword = asyncHandler(async (req, res, next) => {
   // Delete any existing OTP entries for this email
   await OTP.deleteMany({ email, type: 'password_reset' });
 
+  // A new reset flow invalidates any grant issued by an earlier one
+  if (user.resetPasswordToken) {
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+  }
+
   // Generate new OTP
   const otp = OTP.generateOTP();
 
@@ -285,7 +723,11 @@ const forgotPassword = asyncHandler(async (req, res, next) => {
 // @route   POST /api/auth/reset-password
 // @access  Public
 const resetPassword = asyncHandler(async (req, res, next) => {
-  const { email, newPassword } = req.body;
+  const { email, resetToken, newPassword, revokeOtherSessions } = req.body;
+
+  if (!resetToken) {
+    return next(new ErrorResponse('Reset token is required. Verify the password reset OTP first', 400, 'RESET_GRANT_REQUIRED'));
+  }
 
   // Get user and update password
   const user = await User.findOne({ email });
@@ -293,14 +735,24 @@ const resetPassword = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('User not found', 404));
   }
 
+  const grantResult = await user.consumeResetPasswordToken(resetToken);
+  if (!grantResult.success) {
+    return next(new ErrorResponse(grantResult.message, 400, grantResult.code));
+  }
+
+  // The grant stays marked as used so a replay reports RESET_GRANT_USED
   user.password = newPassword;
-  user.resetPasswordToken = undefined;
-  user.resetPasswordExpire = undefined;
   await user.save();
 
+  // The user is not signed in here, so "other" sessions means all of them
+  if (revokeOtherSessions === true) {
+    await Session.revokeAllForUser(user._id, 'password_reset');
+  }
+
   res.status(200).json({
     success: true,
-    message: 'Password reset successfully'
+    message: 'Password reset successfully',
+    sessionsRevoked: revokeOtherSessions === true
   });
 });
 
@@ -308,7 +760,7 @@ const resetPassword = asyncHandler(async (req, res, next) => {
 // @route   POST /api/auth/change-password
 // @access  Private
 const changePassword = asyncHandler(async (req, res, next) => {
-  const { currentPassword, newPassword } = req.body;
+  const { currentPassword, newPassword, revokeOtherSessions } = req.body;
 
   if (!currentPassword || !newPassword) {
     return next(new ErrorResponse('Current password and new password are required', 400));
@@ -340,8 +792,349 @@ const changePassword = asyncHandler(async (req, res, next) => {
   user.password = newPassword;
   await user.save();
 
+  // The current session is replaced by the fresh one issued below
+  if (revokeOtherSessions === true) {
+    await Session.revokeAllForUser(user._id, 'password_change');
+  } else if (req.authSession) {
+    req.authSession.revoke('password_change');
+    await req.authSession.save();
+  }
+
   // Optionally return a fresh JWT
-  return sendTokenResponse(user, 200, res, 'Password changed successfully');
+  return sendTokenResponse(user, 200, req, res, 'Password changed successfully');
+});
+
+// @desc    Request an email address change (OTP sent to the new address)
+// @route   POST /api/auth/change-email
+// @access  Private
+const requestEmailChange = asyncHandler(async (req, res, next) => {
+  const { newEmail, password } = req.body;
+
+  const user = await User.findById(req.user.id).select('+password');
+
+  const isMatch = await user.matchPassword(password);
+  if (!isMatch) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  if (newEmail === user.email) {
+    return next(new ErrorResponse('New email must be different from current email', 400));
+  }
+
+  const emailTaken = await User.exists({ email: newEmail });
+  if (emailTaken) {
+    return next(new ErrorResponse('Email is already in use', 400));
+  }
+
+  // Email change OTPs are looked up by address, so one address can only be pending on one account.
+  // Another account's change that can no longer be confirmed (its OTP expired) gives way.
+  const pendingElsewhere = await User.exists({ pendingEmail: newEmail, _id: { $ne: user._id } });
+  if (pendingElsewhere) {
+    const liveOTP = await OTP.exists({
+      email: newEmail,
+      type: 'email_change',
+      isUsed: false,
+      expiresAt: { $gt: new Date() }
+    });
+    if (liveOTP) {
+      return next(new ErrorResponse('Email is already in use', 400));
+    }
+
+    await User.updateMany({ pendingEmail: newEmail, _id: { $ne: user._id } }, { $set: { pendingEmail: null } });
+    await OTP.deleteMany({ email: newEmail, type: 'email_change' });
+  }
+
+  const canRequest = await OTP.canRequestNewOTP(newEmail, 'email_change');
+  if (!canRequest) {
+    return next(new ErrorResponse('Please wait before requesting a new OTP', 429));
+  }
+
+  // Only one pending change at a time
+  if (user.pendingEmail) {
+    await OTP.deleteMany({ email: user.pendingEmail, type: 'email_change' });
+  }
+
+  user.pendingEmail = newEmail;
+  await user.save();
+
+  const otp = OTP.generateOTP();
+  await OTP.create({
+    email: newEmail,
+    otp,
+    type: 'email_change',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  try {
+    await sendOTPEmail(newEmail, otp, 'email_change');
+  } catch (error) {
+    console.error('Failed to send email change OTP:', error);
+    return next(new ErrorResponse('Failed to send OTP email', 500));
+  }
+
+  try {
+    await sendEmailChangeNoticeEmail(user.email, user.name, newEmail);
+  } catch (error) {
+    console.error('Failed to send email change notice:', error);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'OTP sent to your new email address. Confirm it to complete the change.',
+    data: {
+      pendingEmail: user.pendingEmail
+    }
+  });
+});
+
+// @desc    Confirm an email address change with the OTP
+// @route   POST /api/auth/change-email/confirm
+// @access  Private
+const confirmEmailChange = asyncHandler(async (req, res, next) => {
+  const { otp } = req.body;
+
+  if (!otp) {
+    return next(new ErrorResponse('OTP is required', 400));
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user.pendingEmail) {
+    return next(new ErrorResponse('No email change in progress', 400));
+  }
+
+  // Two accounts requested the same address at once: the OTP can't tell whose it is
+  const pendingElsewhere = await User.exists({ pendingEmail: user.pendingEmail, _id: { $ne: user._id } });
+  if (pendingElsewhere) {
+    await OTP.deleteMany({ email: user.pendingEmail, type: 'email_change' });
+    user.pendingEmail = null;
+    await user.save();
+    return next(new ErrorResponse('Email is already in use', 400));
+  }
+
+  const otpRecord = await OTP.findOne({
+    email: user.pendingEmail,
+    type: 'email_change',
+    isUsed: false
+  }).sort({ createdAt: -1 });
+
+  const otpError = await checkUserOTP(user, otpRecord, otp);
+  if (otpError) {
+    return next(otpError);
+  }
+
+  // Someone may have registered the address since the request
+  const emailTaken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+  if (emailTaken) {
+    user.pendingEmail = null;
+    await user.save();
+    return next(new ErrorResponse('Email is already in use', 400));
+  }
+
+  const previousEmail = user.email;
+  user.email = user.pendingEmail;
+  user.pendingEmail = null;
+  user.isEmailVerified = true;
+  await user.save();
+
+  // Stripe receipts and invoices go to the customer email
+  let stripeCustomerUpdated = false;
+  try {
+    stripeCustomerUpdated = !!(await updateCustomerEmail(user));
+  } catch (error) {
+    console.error(`❌ Failed to update Stripe customer email for user ${user._id}:`, error.message);
+  }
+
+  console.log(`✉️ User ${user._id} changed email from ${previousEmail} to ${user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Email address changed successfully',
+    data: {
+      email: user.email,
+      stripeCustomerUpdated
+    }
+  });
+});
+
+// @desc    List active sessions (devices) for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      id: session._id,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.authSession._id)
+    }))
+  });
+});
+
+// @desc    Revoke one session (sign out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null
+  });
+
+  if (!session) {
+    return next(new ErrorResponse('Session not found', 404));
+  }
+
+  session.revoke('user_revoked');
+  await session.save();
+
+  if (session._id.equals(req.authSession._id)) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+// @desc    Revoke every session except the current one
+// @route   POST /api/auth/sessions/revoke-others
+// @access  Private
+const revokeAllOtherSessions = asyncHandler(async (req, res, next) => {
+  const result = await Session.revokeAllForUser(req.user._id, 'user_revoked', req.authSession._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Signed out of all other sessions',
+    data: {
+      revokedCount: result.modifiedCount
+    }
+  });
+});
+
+// @desc    Start 2FA enrollment (generate authenticator secret)
+// @route   POST /api/auth/2fa/enroll
+// @access  Private
+const enrollTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUrl: buildOtpAuthUrl({
+        secret,
+        label: user.email,
+        issuer: process.env.TOTP_ISSUER || 'GhostSnap'
+      })
+    }
+  });
+});
+
+// @desc    Confirm 2FA enrollment with a code from the app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+const confirmTwoFactor = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new ErrorResponse('Authentication code is required', 400));
+  }
+
+  const user = await User.findById(req.user.id).select(`${TWO_FACTOR_FIELDS} +twoFactorPendingSecret`);
+
+  if (user.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return next(new ErrorResponse('No 2FA enrollment in progress', 400));
+  }
+
+  const matchedStep = verifyTOTP(decryptSecret(user.twoFactorPendingSecret), code);
+  if (matchedStep === null) {
+    return next(new ErrorResponse('Invalid authentication code', 400));
+  }
+
+  // Recovery codes are only shown once
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactorLastUsedStep = matchedStep;
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return next(new ErrorResponse('Password and code or recovery code are required', 400));
+  }
+
+  const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+  }
+
+  const isMatch = await user.matchPassword(password);
+  if (!isMatch) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  const result = user.verifyTwoFactorCode({ code, recoveryCode });
+  if (!result.success) {
+    return next(new ErrorResponse(result.message, 401));
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = null;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
 });
 
 // @desc    Resend OTP
@@ -392,11 +1185,28 @@ const resendOTP = asyncHandler(async (req, res, next) => {
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  requestLoginOTP,
+  verifyLoginOTP,
+  setLoginOTPSecondFactor,
   verifyOTP,
+  unlockAccount,
+  refreshToken,
   logout,
   getMe,
+  exportMyData,
+  deleteMe,
+  restoreMe,
   forgotPassword,
   resetPassword,
   resendOTP,
-  changePassword
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  getSessions,
+  revokeSession,
+  revokeAllOtherSessions,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor
 };
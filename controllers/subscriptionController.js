@@ -6,6 +6,9 @@ const { ErrorResponse, asyncHandler } = require('../utils/errorHandler');
 const { stripe, getOrCreateCustomer } = require('../config/stripe');
 const { sendSubscriptionEmail } = require('../utils/email');
 const { getPlanForUser, markUserAsEverSubscribed } = require('../services/subscriptionPlanService');
+const { emitEvent, serializeSubscription } = require('../services/outboundWebhookService');
+const { releaseSubscriptionSchedule } = require('../services/subscriptionScheduleService');
+const { verifyCancelLinkToken } = require('../utils/jwt');
 
 // @desc    Get subscription plans
 // @route   GET /api/subscriptions/plans
@@ -105,7 +108,9 @@ const createCheckoutSession = asyncHandler(async (req, res, next) => {
           amount: plan.formattedAmount,
           interval: plan.interval,
           trialPeriodDays: plan.trialPeriodDays
-        }
+        },
+        // Why this plan was chosen, e.g. 'new_user', 'returning_user' or 'card_used_for_trial'
+        reason: planResult.reason
       }
     });
   } catch (error) {
@@ -147,6 +152,25 @@ const getCurrentSubscription = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Cancel a subscription at the end of its current period, in Stripe and locally
+const cancelAtPeriodEnd = async (subscription) => {
+  // Stripe only accepts cancel_at_period_end once no schedule manages the subscription
+  await releaseSubscriptionSchedule(subscription);
+
+  await stripe.subscriptions.update(
+    subscription.stripeSubscriptionId,
+    {
+      cancel_at_period_end: true
+    }
+  );
+
+  subscription.cancelAtPeriodEnd = true;
+  subscription.canceledAt = new Date();
+  await subscription.save();
+
+  await emitEvent('subscription.canceled', serializeSubscription(subscription));
+};
+
 // @desc    Cancel subscription
 // @route   POST /api/subscriptions/cancel
 // @access  Private
@@ -161,18 +185,7 @@ const cancelSubscription = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    // Cancel subscription in Stripe
-    const stripeSubscription = await stripe.subscriptions.update(
-      subscription.stripeSubscriptionId,
-      {
-        cancel_at_period_end: true
-      }
-    );
-
-    // Update local subscription
-    subscription.cancelAtPeriodEnd = true;
-    subscription.canceledAt = new Date();
-    await subscription.save();
+    await cancelAtPeriodEnd(subscription);
 
     res.status(200).json({
       success: true,
@@ -188,6 +201,42 @@ const cancelSubscription = asyncHandler(async (req, res, next) => {
   }
 });
 
+// @desc    Cancel subscription from the one-click link in trial emails
+// @route   POST /api/subscriptions/cancel-link
+// @access  Public (signed token)
+const cancelSubscriptionFromLink = asyncHandler(async (req, res, next) => {
+  const subscriptionId = req.body.token ? verifyCancelLinkToken(req.body.token) : null;
+
+  if (!subscriptionId) {
+    return next(new ErrorResponse('Invalid or expired cancel link', 400));
+  }
+
+  const subscription = await Subscription.findById(subscriptionId);
+
+  if (!subscription || !['active', 'trialing'].includes(subscription.status)) {
+    return next(new ErrorResponse('No active subscription found', 404));
+  }
+
+  // Clicking the link again is fine
+  if (!subscription.cancelAtPeriodEnd) {
+    try {
+      await cancelAtPeriodEnd(subscription);
+    } catch (error) {
+      console.error('Stripe subscription cancellation error:', error);
+      return next(new ErrorResponse('Failed to cancel subscription', 500));
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Subscription will be canceled at the end of the current period',
+    data: {
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      currentPeriodEnd: subscription.currentPeriodEnd
+    }
+  });
+});
+
 // @desc    Reactivate subscription
 // @route   POST /api/subscriptions/reactivate
 // @access  Private
@@ -248,6 +297,8 @@ const reactivateSubscription = asyncHandler(async (req, res, next) => {
       subscription.isFirstSubscription = false;
       await subscription.save();
 
+      await emitEvent('subscription.reactivated', serializeSubscription(subscription));
+
       return res.status(200).json({
         success: true,
         message: 'Subscription reactivated and moved to weekly plan',
@@ -267,6 +318,8 @@ const reactivateSubscription = asyncHandler(async (req, res, next) => {
     subscription.canceledAt = null;
     await subscription.save();
 
+    await emitEvent('subscription.reactivated', serializeSubscription(subscription));
+
     return res.status(200).json({
       success: true,
       message: 'Subscription reactivated successfully',
@@ -363,6 +416,7 @@ module.exports = {
   createCheckoutSession,
   getCurrentSubscription,
   cancelSubscription,
+  cancelSubscriptionFromLink,
   reactivateSubscription,
   getSubscriptionHistory,
   getPaymentHistory,
@@ -1,4 +1,6 @@
+const SubscriptionPlan = require('../models/SubscriptionPlan');
 const { shouldChargeUser } = require('../services/trialService');
+const { scheduleTrialForUser } = require('../services/subscriptionScheduleService');
 const { asyncHandler, ErrorResponse } = require('../utils/errorHandler');
 
 /**
@@ -15,7 +17,8 @@ const getTrialStatus = asyncHandler(async (req, res) => {
       shouldCharge: chargeDecision.shouldCharge,
       reason: chargeDecision.reason,
       trialEnd: chargeDecision.trialEnd,
-      subscription: chargeDecision.subscription,
+      recurringStartsAt: chargeDecision.recurringStartsAt,
+      subscriptionId: chargeDecision.subscriptionId,
       user: {
         id: req.user._id,
         email: req.user.email
@@ -25,28 +28,36 @@ const getTrialStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Handle trial upgrade to recurring subscription
+ * @desc    Schedule the move from the initial to the recurring subscription
  * @route   POST /api/trial/upgrade
  * @access  Private
  */
-const upgradeTrial = asyncHandler(async (req, res) => {
-  const chargeDecision = await shouldChargeUser(req.user);
-  
-  if (!chargeDecision.shouldCharge) {
+const upgradeTrial = asyncHandler(async (req, res, next) => {
+  const result = await scheduleTrialForUser(req.user);
+
+  if (!result) {
     return res.status(400).json({
       success: false,
-      message: 'No upgrade needed. User is still in trial or already has recurring subscription.'
+      message: 'No upgrade needed. User has no initial subscription or already has recurring subscription.'
     });
   }
 
-  // The upgrade should have already been handled by the trial service
+  if (!result.success) {
+    return next(new ErrorResponse('Failed to schedule the upgrade, it will be retried automatically', 500));
+  }
+
+  const recurringPlan = await SubscriptionPlan.getRecurringPlan();
+  const { subscription } = result;
+
   res.json({
     success: true,
-    message: 'Subscription upgraded to recurring',
+    message: 'Subscription scheduled to move to recurring',
     data: {
-      subscription: chargeDecision.subscription,
-      newAmount: chargeDecision.subscription?.newAmount,
-      newInterval: chargeDecision.subscription?.newInterval
+      subscriptionId: subscription._id,
+      scheduleId: subscription.stripeScheduleId,
+      recurringStartsAt: subscription.recurringStartsAt,
+      newAmount: recurringPlan?.amount,
+      newInterval: recurringPlan?.interval
     }
   });
 });
@@ -86,6 +97,8 @@ const getSubscriptionDetails = asyncHandler(async (req, res) => {
         currentPeriodStart: subscription.currentPeriodStart,
         currentPeriodEnd: subscription.currentPeriodEnd,
         isInTrial: subscription.isInTrial,
+        scheduleStatus: subscription.scheduleStatus,
+        recurringStartsAt: subscription.recurringStartsAt,
         shouldUpgrade: subscription.shouldUpgradeToRecurring ? subscription.shouldUpgradeToRecurring() : false
       }
     }
@@ -1,72 +1,25 @@
 const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 const Payment = require('../models/Payment');
-const SubscriptionPlan = require('../models/SubscriptionPlan');
-const { stripe } = require('../config/stripe');
-const { sendSubscriptionEmail } = require('../utils/email');
+const WebhookEvent = require('../models/WebhookEvent');
+const { processWebhookEvent } = require('../services/webhookWorker');
+const { stripe, getWebhookSecrets, constructWebhookEvent } = require('../config/stripe');
+const { sendSubscriptionEmail, sendDisputeEmail } = require('../utils/email');
 const { ErrorResponse, asyncHandler } = require('../utils/errorHandler');
-
-// Helper function to create payment record
-const createPaymentRecord = async (paymentData) => {
-  try {
-    console.log('🔍 Attempting to create payment with data:', JSON.stringify(paymentData, null, 2));
-    
-    // Test database connection
-    console.log('🔍 Testing database connection...');
-    const paymentCount = await Payment.countDocuments();
-    console.log(`📊 Current payment count in database: ${paymentCount}`);
-    
-    const payment = await Payment.create(paymentData);
-    console.log(`✅ Payment created successfully: ${payment._id}`);
-    console.log('📊 Payment details:', {
-      id: payment._id,
-      user: payment.user,
-      subscription: payment.subscription,
-      amount: payment.amount,
-      status: payment.status,
-      paymentType: payment.paymentType
-    });
-    
-    // Verify the payment was actually saved
-    const savedPayment = await Payment.findById(payment._id);
-    if (savedPayment) {
-      console.log('✅ Payment verified in database:', savedPayment._id);
-    } else {
-      console.error('❌ Payment not found in database after creation!');
-    }
-    
-    return payment;
-  } catch (error) {
-    console.error('❌ Error creating payment record:', error);
-    console.error('❌ Payment data that failed:', JSON.stringify(paymentData, null, 2));
-    console.error('❌ Error stack:', error.stack);
-    throw error;
-  }
-};
-
-// Session storage for webhook data coordination
-const webhookDataStore = new Map();
-
-// Helpers to safely handle Stripe UNIX timestamps (in seconds)
-const toDateFromUnix = (value) => {
-  const num = typeof value === 'number' ? value : Number(value);
-  if (!Number.isFinite(num) || num <= 0) return null;
-  const d = new Date(num * 1000);
-  return isNaN(d.getTime()) ? null : d;
-};
-
-// Ensure we have full subscription object with current_period_* populated
-const ensureStripeSubscription = async (maybeSubscription) => {
-  if (maybeSubscription && toDateFromUnix(maybeSubscription.current_period_start) && toDateFromUnix(maybeSubscription.current_period_end)) {
-    return maybeSubscription;
-  }
-  try {
-    return await stripe.subscriptions.retrieve(maybeSubscription.id);
-  } catch (e) {
-    console.error('Failed to retrieve subscription from Stripe:', e);
-    return maybeSubscription;
-  }
-};
+const { toDateFromUnix, syncSubscriptionFromStripe, findOrSyncSubscription } = require('../services/subscriptionSyncService');
+const {
+  upsertPaymentForIntent,
+  buildInvoicePaymentFields,
+  toRefundEntry,
+  notifyRefundChanges
+} = require('../services/paymentService');
+const { withSourceEvent, emitEvent, serializeSubscription, serializePayment } = require('../services/outboundWebhookService');
+const { attachTrialSchedule, syncScheduleFromStripe } = require('../services/subscriptionScheduleService');
+const { sendDueTrialReminder } = require('../services/trialReminderService');
+const { recordTrialClaim, recordCardFingerprint } = require('../services/trialEligibilityService');
+
+// Stripe event time, used to ignore events older than the state already applied
+const getEventCreatedAt = (event) => (event?.created ? new Date(event.created * 1000) : null);
 
 /**
  * Extract complete card details and payment method from payment intent
@@ -101,7 +54,8 @@ async function extractCardDetailsFromPaymentIntent(paymentIntentId) {
           expMonth: card.exp_month || null,
           expYear: card.exp_year || null,
           funding: card.funding || null,
-          country: card.country || null
+          country: card.country || null,
+          fingerprint: card.fingerprint || null
         };
         console.log('✅ Card details from payment method:', cardDetails);
       }
@@ -120,7 +74,8 @@ async function extractCardDetailsFromPaymentIntent(paymentIntentId) {
           expMonth: card.exp_month || null,
           expYear: card.exp_year || null,
           funding: card.funding || null,
-          country: card.country || null
+          country: card.country || null,
+          fingerprint: card.fingerprint || null
         };
         console.log('✅ Card details from charge:', cardDetails);
       }
@@ -145,7 +100,8 @@ async function extractCardDetailsFromPaymentIntent(paymentIntentId) {
             expMonth: card.exp_month || null,
             expYear: card.exp_year || null,
             funding: card.funding || null,
-            country: card.country || null
+            country: card.country || null,
+            fingerprint: card.fingerprint || null
           };
           console.log('✅ Card details from separate payment method retrieval:', cardDetails);
         }
@@ -202,71 +158,145 @@ async function getInvoicePaymentIntentId(invoice) {
   }
 }
 
-// @desc    Handle Stripe webhooks
-// @route   POST /api/webhooks/stripe
-// @access  Public (but verified by Stripe signature)
-const handleStripeWebhook = asyncHandler(async (req, res, next) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
-
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+// Pick the handler for a Stripe event's type
+const runStripeEventHandler = async (event) => {
+  // Handlers act on the platform account's objects; connected-account events are only stored
+  if (event.account) {
+    console.log(`ℹ️ No handlers for connected account events (${event.type} on ${event.account})`);
+    return;
   }
 
-  console.log('🎯 Received Stripe webhook:', event.type);
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await handleCheckoutSessionCompleted(event.data.object, event);
+      break;
 
-  try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutSessionCompleted(event.data.object);
-        break;
+    case 'customer.subscription.created':
+      await handleSubscriptionCreated(event.data.object, event);
+      break;
 
-      case 'customer.subscription.created':
-        await handleSubscriptionCreated(event.data.object);
-        break;
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event.data.object, event);
+      break;
 
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object);
-        break;
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object, event);
+      break;
 
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object);
-        break;
+    case 'invoice.payment_succeeded':
+      await handleInvoicePaymentSucceeded(event.data.object, event);
+      break;
 
-      case 'invoice.payment_succeeded':
-        await handleInvoicePaymentSucceeded(event.data.object);
-        break;
+    case 'invoice.payment_failed':
+      await handleInvoicePaymentFailed(event.data.object, event);
+      break;
 
-      case 'invoice.payment_failed':
-        await handleInvoicePaymentFailed(event.data.object);
-        break;
+    case 'payment_intent.succeeded':
+      await handlePaymentIntentSucceeded(event.data.object, event);
+      break;
 
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object);
-        break;
+    case 'setup_intent.succeeded':
+      await handleSetupIntentSucceeded(event.data.object, event);
+      break;
 
-      case 'setup_intent.succeeded':
-        await handleSetupIntentSucceeded(event.data.object);
-        break;
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object, event);
+      break;
 
-      case 'customer.subscription.trial_will_end':
-        await handleTrialWillEnd(event.data.object);
-        break;
+    case 'charge.refund.updated':
+      await handleChargeRefundUpdated(event.data.object, event);
+      break;
 
-      default:
-        console.log(`ℹ️ Unhandled event type: ${event.type}`);
-    }
+    case 'charge.dispute.created':
+      await handleChargeDisputeCreated(event.data.object, event);
+      break;
 
-    res.status(200).json({ received: true });
-  } catch (error) {
-    console.error('❌ Webhook processing error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    case 'charge.dispute.closed':
+      await handleChargeDisputeClosed(event.data.object, event);
+      break;
+
+    case 'customer.subscription.trial_will_end':
+      await handleTrialWillEnd(event.data.object, event);
+      break;
+
+    case 'subscription_schedule.created':
+    case 'subscription_schedule.updated':
+    case 'subscription_schedule.released':
+    case 'subscription_schedule.completed':
+    case 'subscription_schedule.canceled':
+    case 'subscription_schedule.aborted':
+      await handleSubscriptionScheduleChanged(event.data.object, event);
+      break;
+
+    case 'subscription_schedule.expiring':
+      console.log(`ℹ️ Subscription schedule ${event.data.object.id} is expiring`);
+      break;
+
+    default:
+      console.log(`ℹ️ Unhandled event type: ${event.type}`);
   }
+};
+
+// Run the handler for a Stripe event; the outbound events it emits are tied to the Stripe event
+const dispatchStripeEvent = (event) => withSourceEvent(event.id, () => runStripeEventHandler(event));
+
+/**
+ * Build the webhook handler for one endpoint kind ('account' or 'connect')
+ * The payload is accepted if it verifies against any of the endpoint's secrets, so a new
+ * secret can be added before the old one is removed.
+ * @param {string} endpoint - Endpoint kind, stored on each event
+ * @returns {Function} - Express handler
+ */
+const createStripeWebhookHandler = (endpoint) => asyncHandler(async (req, res, next) => {
+  const sig = req.headers['stripe-signature'];
+
+  // Misconfiguration, not a bad request: a 500 makes Stripe retry once it is fixed
+  if (getWebhookSecrets(endpoint).length === 0) {
+    console.error(`❌ No webhook signing secret configured for the ${endpoint} endpoint`);
+    return next(new ErrorResponse('Webhook endpoint not configured', 500));
+  }
+
+  let event;
+  let secretIndex;
+
+  try {
+    ({ event, secretIndex } = constructWebhookEvent(req.body, sig, endpoint));
+  } catch (err) {
+    console.error(`Webhook signature verification failed (${endpoint} endpoint):`, err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  console.log(`🎯 Received Stripe webhook (${endpoint}, secret #${secretIndex + 1}):`, event.type, event.id);
+  if (secretIndex > 0) {
+    console.log(`🔑 Event ${event.id} matched ${endpoint} secret #${secretIndex + 1}; Stripe is still signing with an older secret`);
+  }
+
+  // Store the event and acknowledge right away; the worker runs the handlers
+  // (services/webhookWorker.js) and retries failures with backoff
+  const storedEvent = await WebhookEvent.recordEvent(event, { endpoint });
+
+  if (storedEvent.status === 'succeeded') {
+    console.log(`ℹ️ Event ${event.id} already processed, skipping`);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  res.status(200).json({ received: true });
+
+  processWebhookEvent(storedEvent._id, dispatchStripeEvent).catch((error) => {
+    console.error(`❌ Failed to start processing event ${event.id}:`, error);
+  });
 });
 
+// @desc    Handle Stripe webhooks for the platform account
+// @route   POST /api/webhooks/stripe
+// @access  Public (but verified by Stripe signature)
+const handleStripeWebhook = createStripeWebhookHandler('account');
+
+// @desc    Handle Stripe webhooks for connected accounts
+// @route   POST /api/webhooks/stripe/connect
+// @access  Public (but verified by Stripe signature)
+const handleStripeConnectWebhook = createStripeWebhookHandler('connect');
+
 // Handle checkout session completed
 const handleCheckoutSessionCompleted = async (session) => {
   console.log('✅ Processing checkout.session.completed:', session.id);
@@ -294,173 +324,116 @@ const handleCheckoutSessionCompleted = async (session) => {
   console.log(`✅ Checkout completed for user ${user.email}, planType: ${planType}`);
 };
 
-// Handle subscription created
-const handleSubscriptionCreated = async (stripeSubscription) => {
-  console.log('✅ Processing customer.subscription.created:', stripeSubscription.id);
-
-  const userId = stripeSubscription.metadata.userId;
-  const planType = stripeSubscription.metadata.planType;
-  const isFirstSubscription = stripeSubscription.metadata.isFirstSubscription === 'true';
-  const isReturningUser = stripeSubscription.metadata.isReturningUser === 'true';
+// Side effects of a subscription record being created, whichever event created it
+const onSubscriptionCreated = async (subscription, user) => {
+  const metadata = subscription.metadata || {};
 
-  if (!userId) {
-    console.error('❌ No userId in subscription metadata');
-    return;
+  // Mark user as having ever subscribed if they're a returning user
+  if (metadata.isReturningUser === 'true' && !user.hasEverSubscribed) {
+    user.hasEverSubscribed = true;
+    await user.save();
+    console.log(`✅ Marked returning user ${user.email} as having ever subscribed`);
   }
 
-  const user = await User.findById(userId);
-  if (!user) {
-    console.error('❌ User not found:', userId);
-    return;
+  try {
+    await sendSubscriptionEmail(
+      user.email,
+      user.name,
+      subscription.subscriptionType === 'initial' ? 'Initial Subscription' : 'Weekly Subscription',
+      subscription.amount
+    );
+  } catch (error) {
+    console.error('⚠️ Failed to send subscription email:', error);
   }
 
-  const priceId = stripeSubscription.items.data[0].price.id;
-  console.log('🔍 Looking for plan with price ID:', priceId);
-  
-  const plan = await SubscriptionPlan.findOne({ 
-    stripePriceId: priceId 
-  });
+  await emitEvent('subscription.activated', serializeSubscription(subscription));
 
-  if (!plan) {
-    console.error('❌ Plan not found for price:', priceId);
-    return;
+  // Revokes the trial right away if the user's card was already used for another account's trial
+  if (subscription.subscriptionType === 'initial' && subscription.isFirstSubscription) {
+    try {
+      await recordTrialClaim(subscription, user);
+    } catch (error) {
+      console.error('⚠️ Failed to record trial claim:', error);
+    }
   }
 
-  console.log('✅ Found plan:', plan.name, 'Type:', plan.planType);
-  console.log('🔄 Is returning user:', isReturningUser);
-  console.log('🔄 Is first subscription:', isFirstSubscription);
-
-  try {
-    const fullStripeSub = await ensureStripeSubscription(stripeSubscription);
-    const currentPeriodStart = toDateFromUnix(fullStripeSub.current_period_start) || new Date();
-    const currentPeriodEnd = toDateFromUnix(fullStripeSub.current_period_end) || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    const trialStart = toDateFromUnix(fullStripeSub.trial_start);
-    const trialEnd = toDateFromUnix(fullStripeSub.trial_end);
-
-    // For returning users, don't set trial periods
-    const finalTrialStart = isReturningUser ? null : trialStart;
-    const finalTrialEnd = isReturningUser ? null : trialEnd;
-
-    const subscription = await Subscription.create({
-      user: user._id,
-      stripeSubscriptionId: stripeSubscription.id,
-      stripeCustomerId: stripeSubscription.customer,
-      stripePriceId: plan.stripePriceId,
-      status: stripeSubscription.status,
-      currentPeriodStart: currentPeriodStart,
-      currentPeriodEnd: currentPeriodEnd,
-      trialStart: finalTrialStart,
-      trialEnd: finalTrialEnd,
-      isFirstSubscription,
-      subscriptionType: planType,
-      amount: plan.amount,
-      currency: plan.currency,
-      interval: plan.interval || undefined, // Allow undefined for one-time payments
-      intervalCount: plan.intervalCount,
-      metadata: stripeSubscription.metadata
-    });
-
-    // Mark user as having ever subscribed if they're a returning user
-    if (isReturningUser && !user.hasEverSubscribed) {
-      user.hasEverSubscribed = true;
-      await user.save();
-      console.log(`✅ Marked returning user ${user.email} as having ever subscribed`);
+  // First-time subscribers move from the initial to the recurring price on a Stripe schedule
+  if (subscription.subscriptionType === 'initial' && subscription.isFirstSubscription) {
+    try {
+      await attachTrialSchedule(subscription);
+    } catch (error) {
+      // The trial-schedules job retries it
+      console.error('⚠️ Failed to schedule the recurring plan:', error);
     }
-
-    console.log(`✅ Subscription created: ${subscription._id} for user ${user.email}`);
-  } catch (error) {
-    console.error('❌ Error creating subscription:', error);
-    throw error;
   }
+};
 
-  try {
-    await sendSubscriptionEmail(
-      user.email, 
-      user.name, 
-      planType === 'initial' ? 'Initial Subscription' : 'Weekly Subscription',
-      plan.amount
-    );
-  } catch (error) {
-    console.error('⚠️ Failed to send subscription email:', error);
+// Local subscription for an invoice, synced from Stripe if its events haven't arrived yet
+const getInvoiceSubscription = async (stripeSubscriptionId) => {
+  const { subscription, user, created } = await findOrSyncSubscription(stripeSubscriptionId);
+
+  if (created) {
+    await onSubscriptionCreated(subscription, user);
   }
+
+  return subscription;
 };
 
-// Handle subscription updated
-const handleSubscriptionUpdated = async (stripeSubscription) => {
-  console.log('✅ Processing customer.subscription.updated:', stripeSubscription.id);
+// Handle subscription created
+const handleSubscriptionCreated = async (stripeSubscription, event) => {
+  console.log('✅ Processing customer.subscription.created:', stripeSubscription.id);
 
-  const subscription = await Subscription.findOne({
-    stripeSubscriptionId: stripeSubscription.id
+  const { subscription, user, created } = await syncSubscriptionFromStripe(stripeSubscription, {
+    eventCreatedAt: getEventCreatedAt(event)
   });
 
-  if (!subscription) {
-    console.error('❌ Subscription not found:', stripeSubscription.id);
-    return;
+  if (created) {
+    await onSubscriptionCreated(subscription, user);
   }
+};
 
-  const currentPriceId = stripeSubscription.items.data[0].price.id;
-  const recurringPlan = await SubscriptionPlan.getRecurringPlan();
-  
-  if (subscription.subscriptionType === 'initial' && 
-      currentPriceId === recurringPlan.stripePriceId &&
-      stripeSubscription.status === 'active') {
-    console.log('🔄 Subscription upgraded from initial to recurring plan');
-    
-    subscription.subscriptionType = 'recurring';
-    subscription.stripePriceId = recurringPlan.stripePriceId;
-    subscription.amount = recurringPlan.amount;
-    subscription.isFirstSubscription = false;
-  }
+// Handle subscription updated (may arrive before customer.subscription.created)
+const handleSubscriptionUpdated = async (stripeSubscription, event) => {
+  console.log('✅ Processing customer.subscription.updated:', stripeSubscription.id);
 
-  const fullStripeSub = await ensureStripeSubscription(stripeSubscription);
-  const updCurrentPeriodStart = toDateFromUnix(fullStripeSub.current_period_start) || subscription.currentPeriodStart || new Date();
-  const updCurrentPeriodEnd = toDateFromUnix(fullStripeSub.current_period_end) || subscription.currentPeriodEnd || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const { subscription, user, created, skipped } = await syncSubscriptionFromStripe(stripeSubscription, {
+    eventCreatedAt: getEventCreatedAt(event)
+  });
 
-  subscription.status = fullStripeSub.status || subscription.status;
-  subscription.currentPeriodStart = updCurrentPeriodStart;
-  subscription.currentPeriodEnd = updCurrentPeriodEnd;
-  subscription.cancelAtPeriodEnd = stripeSubscription.cancel_at_period_end;
-  
-  if (fullStripeSub.canceled_at) {
-    const canceledAtDate = toDateFromUnix(fullStripeSub.canceled_at);
-    if (canceledAtDate) subscription.canceledAt = canceledAtDate;
+  if (created) {
+    await onSubscriptionCreated(subscription, user);
+  } else if (subscription && !skipped) {
+    await emitEvent('subscription.updated', serializeSubscription(subscription));
   }
-
-  await subscription.save();
-
-  console.log(`✅ Subscription updated: ${subscription._id}, status: ${subscription.status}`);
 };
 
 // Handle subscription deleted
-const handleSubscriptionDeleted = async (stripeSubscription) => {
+const handleSubscriptionDeleted = async (stripeSubscription, event) => {
   console.log('✅ Processing customer.subscription.deleted:', stripeSubscription.id);
 
-  const subscription = await Subscription.findOne({
-    stripeSubscriptionId: stripeSubscription.id
-  }).populate('user');
+  const { subscription, user, skipped } = await syncSubscriptionFromStripe(stripeSubscription, {
+    eventCreatedAt: getEventCreatedAt(event)
+  });
 
-  if (!subscription) {
-    console.error('❌ Subscription not found:', stripeSubscription.id);
+  if (!subscription || skipped) {
     return;
   }
 
-  subscription.status = 'canceled';
-  subscription.canceledAt = new Date();
-  await subscription.save();
-
   // Mark user as having ever subscribed (for returning user logic)
-  if (subscription.user && !subscription.user.hasEverSubscribed) {
-    subscription.user.hasEverSubscribed = true;
-    await subscription.user.save();
-    console.log(`✅ Marked user ${subscription.user.email} as having ever subscribed`);
+  if (user && !user.hasEverSubscribed) {
+    user.hasEverSubscribed = true;
+    await user.save();
+    console.log(`✅ Marked user ${user.email} as having ever subscribed`);
   }
 
   console.log(`✅ Subscription canceled: ${subscription._id}`);
+
+  await emitEvent('subscription.ended', serializeSubscription(subscription));
 };
 
 /**
  * Handle invoice.payment_succeeded
- * Creates payment record and stores data for payment_intent.succeeded to complete
+ * Creates or completes the payment record for the invoice's payment intent
  */
 const handleInvoicePaymentSucceeded = async (invoice) => {
   console.log('⚡ Processing invoice.payment_succeeded:', invoice.id);
@@ -470,25 +443,13 @@ const handleInvoicePaymentSucceeded = async (invoice) => {
     return;
   }
 
-  const subscription = await Subscription.findOne({
-    stripeSubscriptionId: invoice.subscription,
-  }).populate('user');
+  const subscription = await getInvoiceSubscription(invoice.subscription);
 
   if (!subscription) {
     console.error('❌ Subscription not found for invoice:', invoice.subscription);
     return;
   }
 
-  // Determine payment type
-  let paymentType = 'recurring_payment';
-  if (invoice.billing_reason === 'subscription_create') {
-    paymentType = subscription.subscriptionType === 'initial'
-      ? 'initial_payment'
-      : 'recurring_payment';
-  } else if (invoice.billing_reason === 'subscription_update') {
-    paymentType = 'upgrade_payment';
-  }
-
   // Get payment intent ID
   const paymentIntentId = await getInvoicePaymentIntentId(invoice);
 
@@ -497,241 +458,98 @@ const handleInvoicePaymentSucceeded = async (invoice) => {
     return;
   }
 
-  // Try to extract card details immediately from the payment intent
-  console.log('🔍 Attempting to extract card details from payment intent:', paymentIntentId);
-  const { cardDetails: immediateCardDetails } = await extractCardDetailsFromPaymentIntent(paymentIntentId);
-  
-  if (immediateCardDetails && Object.keys(immediateCardDetails).length > 0) {
-    console.log('✅ Card details extracted immediately:', immediateCardDetails);
-  } else {
-    console.log('⚠️ No card details found immediately, will be updated by payment_intent.succeeded');
-  }
-
-  // Store data for payment_intent.succeeded to use
-  webhookDataStore.set(paymentIntentId, {
-    userId: subscription.user._id,
-    subscriptionId: subscription._id,
-    stripeSubscriptionId: subscription.stripeSubscriptionId,
-    invoiceId: invoice.id,
-    paymentType: paymentType,
-    amount: invoice.amount_paid || 0,
-    currency: invoice.currency || 'eur'
-  });
+  const { cardDetails, paymentMethodId } = await extractCardDetailsFromPaymentIntent(paymentIntentId);
+  const hasCardDetails = Boolean(cardDetails && Object.keys(cardDetails).length > 0);
 
-  console.log(`📦 Stored invoice data for payment intent: ${paymentIntentId}`);
+  const fields = buildInvoicePaymentFields(invoice, subscription);
+  if (hasCardDetails) fields.cardDetails = cardDetails;
+  if (paymentMethodId) fields.paymentMethod = paymentMethodId;
 
-  // Check if payment already exists
-  const existingPayment = await Payment.findOne({
-    stripePaymentIntentId: paymentIntentId
+  // Status is left alone on existing records: payment_intent.succeeded may already have set it
+  const payment = await upsertPaymentForIntent(paymentIntentId, fields, {
+    status: hasCardDetails ? 'succeeded' : 'processing',
+    receiptUrl: invoice.hosted_invoice_url || null
   });
 
-  if (existingPayment) {
-    console.log('ℹ️ Payment record already exists:', existingPayment._id);
-    if (!existingPayment.stripeInvoiceId) {
-      existingPayment.stripeInvoiceId = invoice.id;
-      await existingPayment.save();
-      console.log('✅ Updated existing payment with invoice ID');
-    }
-    return;
+  if (hasCardDetails) {
+    console.log(`✅ Payment ${payment._id} recorded for invoice ${invoice.id}`);
+    console.log(`💳 Card: ${cardDetails.brand} ****${cardDetails.last4}`);
+  } else {
+    console.log(`✅ Payment ${payment._id} recorded (awaiting card details from payment_intent.succeeded)`);
   }
 
-  // Create payment record with card details if available
-  try {
-    const paymentData = {
-      user: subscription.user._id,
-      subscription: subscription._id,
-      stripePaymentIntentId: paymentIntentId,
-      stripeInvoiceId: invoice.id,
-      amount: invoice.amount_paid || 0,
-      currency: invoice.currency || 'eur',
-      status: immediateCardDetails && Object.keys(immediateCardDetails).length > 0 ? 'succeeded' : 'processing',
-      paymentMethod: null,
-      cardDetails: immediateCardDetails || null,
-      paymentType: paymentType,
-      description: `Payment for ${subscription.subscriptionType} subscription`,
-      receiptUrl: invoice.hosted_invoice_url || null,
-      failureReason: null,
-      refunded: false,
-      refundAmount: 0,
-      metadata: invoice.metadata || {}
-    };
-
-    const payment = await createPaymentRecord(paymentData);
-
-    if (immediateCardDetails && Object.keys(immediateCardDetails).length > 0) {
-      console.log(`✅ Payment created with card details: ${payment._id}`);
-      console.log(`💳 Card: ${immediateCardDetails.brand} ****${immediateCardDetails.last4}`);
-    } else {
-      console.log(`✅ Payment created: ${payment._id} (awaiting card details from payment_intent.succeeded)`);
-    }
-  } catch (error) {
-    if (error.code === 11000) {
-      console.log('ℹ️ Payment already exists (duplicate key), skipping creation');
-    } else {
-      console.error('❌ Error creating payment record:', error);
-      throw error;
-    }
-  }
+  await recordCardFingerprint(subscription, cardDetails?.fingerprint);
 
-  // Handle trial-to-recurring upgrade
-  if (subscription.shouldUpgradeToRecurring && subscription.shouldUpgradeToRecurring()) {
-    console.log('🔄 Trial period ended, upgrading to recurring subscription');
-    await upgradeToRecurringSubscription(subscription);
-  }
+  await emitEvent('payment.succeeded', serializePayment(payment));
 };
 
 /**
  * Handle payment_intent.succeeded
- * This event fires when payment is successful and contains card details
- * Updates the existing payment record with card information
+ * This event fires when payment is successful and contains card details.
+ * It may arrive before or after invoice.payment_succeeded; both upsert the same record.
  */
 const handlePaymentIntentSucceeded = async (paymentIntent) => {
   console.log('💳 Processing payment_intent.succeeded:', paymentIntent.id);
   console.log('💰 Amount:', paymentIntent.amount, paymentIntent.currency);
-  console.log('📋 Status:', paymentIntent.status);
-
-  try {
-    // Extract card details from payment intent using the reliable method
-    console.log('🔍 Extracting card details from payment intent:', paymentIntent.id);
-    const { cardDetails, paymentMethodId } = await extractCardDetailsFromPaymentIntent(paymentIntent.id);
-    
-    console.log('💳 Card details result:', cardDetails);
-    console.log('🔑 Payment method ID:', paymentMethodId);
-
-    // Find existing payment record by payment intent ID
-    let payment = await Payment.findOne({
-      stripePaymentIntentId: paymentIntent.id
-    });
 
-    if (payment) {
-      console.log('🔄 Updating existing payment record:', payment._id);
-      
-      let updated = false;
+  const { cardDetails, paymentMethodId } = await extractCardDetailsFromPaymentIntent(paymentIntent.id);
 
-      // Update card details if available and not already set
-      if (Object.keys(cardDetails).length > 0 && Object.keys(payment.cardDetails || {}).length === 0) {
-        payment.cardDetails = cardDetails;
-        updated = true;
-        console.log('✅ Card details added to payment');
-      }
+  const fields = { status: 'succeeded' };
+  if (cardDetails && Object.keys(cardDetails).length > 0) fields.cardDetails = cardDetails;
+  if (paymentMethodId) fields.paymentMethod = paymentMethodId;
+  if (paymentIntent.charges?.data?.[0]?.receipt_url) {
+    fields.receiptUrl = paymentIntent.charges.data[0].receipt_url;
+  }
 
-      // Update payment method if available and not already set
-      if (paymentMethodId && !payment.paymentMethod) {
-        payment.paymentMethod = paymentMethodId;
-        updated = true;
-        console.log('✅ Payment method added to payment');
-      }
+  let defaults = {
+    amount: paymentIntent.amount,
+    currency: paymentIntent.currency || 'eur'
+  };
+  let subscription;
 
-      // Update status to succeeded
-      if (payment.status !== 'succeeded') {
-        payment.status = 'succeeded';
-        updated = true;
-        console.log('✅ Payment status updated to succeeded');
-      }
+  if (paymentIntent.invoice) {
+    // Resolve the same context invoice.payment_succeeded uses, whichever runs first
+    const invoice = typeof paymentIntent.invoice === 'string'
+      ? await stripe.invoices.retrieve(paymentIntent.invoice)
+      : paymentIntent.invoice;
 
-      // Update receipt URL if available
-      if (paymentIntent.charges?.data?.[0]?.receipt_url && !payment.receiptUrl) {
-        payment.receiptUrl = paymentIntent.charges.data[0].receipt_url;
-        updated = true;
-        console.log('✅ Receipt URL added to payment');
-      }
+    subscription = invoice.subscription
+      ? await getInvoiceSubscription(invoice.subscription)
+      : null;
 
-      // Update amount if it was zero or not set
-      if (paymentIntent.amount && (!payment.amount || payment.amount === 0)) {
-        payment.amount = paymentIntent.amount;
-        updated = true;
-        console.log('✅ Payment amount updated to:', paymentIntent.amount);
-      }
+    if (!subscription) {
+      // Thrown so the event is retried
+      throw new Error(`Subscription not found for invoice ${invoice.id}`);
+    }
 
-      // Update invoice ID if available
-      if (paymentIntent.invoice && !payment.stripeInvoiceId) {
-        payment.stripeInvoiceId = paymentIntent.invoice;
-        updated = true;
-        console.log('✅ Invoice ID added to payment');
-      }
+    Object.assign(fields, buildInvoicePaymentFields(invoice, subscription));
+  } else {
+    subscription = paymentIntent.customer
+      ? await Subscription.findOne({ stripeCustomerId: paymentIntent.customer }).sort({ createdAt: -1 })
+      : null;
 
-      if (updated) {
-        await payment.save();
-        console.log(`✅ Payment ${payment._id} updated successfully`);
-        
-        if (Object.keys(cardDetails).length > 0) {
-          console.log(`💳 ${cardDetails.brand} ****${cardDetails.last4} (${cardDetails.expMonth}/${cardDetails.expYear})`);
-        }
-      } else {
-        console.log('ℹ️ Payment already has all data, no update needed');
-      }
-    } else {
-      console.log('⚠️ No existing payment record found for payment intent:', paymentIntent.id);
-      
-      // Try to find by invoice
-      if (paymentIntent.invoice) {
-        payment = await Payment.findOne({
-          stripeInvoiceId: paymentIntent.invoice
-        });
-        
-        if (payment) {
-          console.log('🔄 Found payment by invoice, updating with payment intent ID');
-          payment.stripePaymentIntentId = paymentIntent.id;
-          payment.status = 'succeeded';
-          payment.cardDetails = cardDetails;
-          if (paymentMethodId) payment.paymentMethod = paymentMethodId;
-          await payment.save();
-          console.log('✅ Payment updated with payment intent details');
-          return;
-        }
-      }
-      
-      // Try to find by customer
-      if (paymentIntent.customer) {
-        const subscription = await Subscription.findOne({
-          stripeCustomerId: paymentIntent.customer
-        }).populate('user');
-        
-        if (subscription) {
-          console.log('🔄 Found subscription for customer, looking for processing payment');
-          
-          // Look for processing payment
-          payment = await Payment.findOne({
-            subscription: subscription._id,
-            status: 'processing'
-          });
-          
-          if (payment) {
-            console.log('🔄 Updating processing payment with payment intent details');
-            payment.stripePaymentIntentId = paymentIntent.id;
-            payment.status = 'succeeded';
-            payment.cardDetails = cardDetails;
-            if (paymentMethodId) payment.paymentMethod = paymentMethodId;
-            if (paymentIntent.invoice) payment.stripeInvoiceId = paymentIntent.invoice;
-            await payment.save();
-            console.log('✅ Processing payment updated with payment intent details');
-            return;
-          }
-          
-          // Create new payment if none found
-          console.log('🆕 Creating new payment record for payment intent');
-          await createPaymentRecord({
-            user: subscription.user._id,
-            subscription: subscription._id,
-            stripePaymentIntentId: paymentIntent.id,
-            stripeInvoiceId: paymentIntent.invoice || null,
-            amount: paymentIntent.amount,
-            currency: paymentIntent.currency || 'eur',
-            status: 'succeeded',
-            paymentType: subscription.subscriptionType === 'initial' ? 'initial_payment' : 'recurring_payment',
-            description: `Payment for ${subscription.subscriptionType} subscription`,
-            cardDetails: cardDetails,
-            paymentMethod: paymentMethodId
-          });
-          console.log('✅ New payment record created for payment intent');
-        }
-      }
+    if (!subscription) {
+      console.log('ℹ️ No subscription found for payment intent; skipping payment record');
+      return;
     }
-  } catch (error) {
-    console.error('❌ Error processing payment_intent.succeeded:', error);
-    console.error('❌ Error details:', error.message);
-    console.error('❌ Error stack:', error.stack);
+
+    defaults = {
+      ...defaults,
+      user: subscription.user,
+      subscription: subscription._id,
+      paymentType: subscription.subscriptionType === 'initial' ? 'initial_payment' : 'recurring_payment',
+      description: `Payment for ${subscription.subscriptionType} subscription`
+    };
+  }
+
+  const payment = await upsertPaymentForIntent(paymentIntent.id, fields, defaults);
+  console.log(`✅ Payment ${payment._id} recorded for payment intent ${paymentIntent.id}`);
+
+  if (fields.cardDetails) {
+    console.log(`💳 ${cardDetails.brand} ****${cardDetails.last4} (${cardDetails.expMonth}/${cardDetails.expYear})`);
   }
+
+  await recordCardFingerprint(subscription, cardDetails?.fingerprint);
 };
 
 // Handle failed payment
@@ -743,9 +561,7 @@ const handleInvoicePaymentFailed = async (invoice) => {
     return;
   }
 
-  const subscription = await Subscription.findOne({
-    stripeSubscriptionId: invoice.subscription
-  }).populate('user');
+  const subscription = await getInvoiceSubscription(invoice.subscription);
 
   if (!subscription) {
     console.error('❌ Subscription not found for invoice:', invoice.subscription);
@@ -755,52 +571,47 @@ const handleInvoicePaymentFailed = async (invoice) => {
   const paymentIntentId = await getInvoicePaymentIntentId(invoice);
   const finalPaymentIntentId = paymentIntentId || invoice.payment_intent || `failed_${invoice.id}`;
 
-  // Check if payment record already exists
-  const existingPayment = await Payment.findOne({
-    stripePaymentIntentId: finalPaymentIntentId
-  });
+  const failureReason = invoice.last_finalization_error?.message || 'Payment failed';
 
-  if (existingPayment) {
+  const existingPayment = await Payment.findOne({ stripePaymentIntentId: finalPaymentIntentId });
+  if (existingPayment?.status === 'canceled') {
     console.log('ℹ️ Failed payment record already exists:', existingPayment._id);
-    if (existingPayment.status !== 'canceled') {
-      existingPayment.status = 'canceled';
-      existingPayment.failureReason = invoice.last_finalization_error?.message || 'Payment failed';
-      await existingPayment.save();
-      console.log('✅ Updated existing payment to failed status');
-    }
+    return;
+  }
+  // A late failure event doesn't undo a payment that went through (refunded ones stay succeeded too)
+  if (existingPayment?.status === 'succeeded') {
+    console.log('ℹ️ Payment already succeeded, ignoring the failure:', existingPayment._id);
     return;
   }
 
-  // Create payment record for failed payment
-  try {
-    const paymentData = {
-      user: subscription.user._id,
-      subscription: subscription._id,
-      stripePaymentIntentId: finalPaymentIntentId,
-      stripeInvoiceId: invoice.id,
-      amount: invoice.amount_due || 0,
-      currency: invoice.currency || 'eur',
-      status: 'canceled',
-      paymentMethod: null,
-      cardDetails: null,
-      paymentType: 'recurring_payment',
-      description: `Failed payment for ${subscription.subscriptionType} subscription`,
-      receiptUrl: null,
-      failureReason: invoice.last_finalization_error?.message || 'Payment failed',
-      refunded: false,
-      refundAmount: 0,
-      metadata: invoice.metadata || {}
-    };
-
-    const payment = await createPaymentRecord(paymentData);
-    console.log(`⚠️ Failed payment recorded: ${payment._id}`);
-  } catch (error) {
-    if (error.code === 11000) {
-      console.log('ℹ️ Failed payment already exists (duplicate key)');
-    } else {
-      console.error('❌ Error creating failed payment record:', error);
-    }
+  // Marks an existing record failed, or creates the failed payment; safe against concurrent deliveries,
+  // and never overwrites a payment that succeeded in the meantime
+  const payment = await upsertPaymentForIntent(finalPaymentIntentId, {
+    status: 'canceled',
+    failureReason
+  }, {
+    user: subscription.user,
+    subscription: subscription._id,
+    stripeInvoiceId: invoice.id,
+    amount: invoice.amount_due || 0,
+    currency: invoice.currency || 'eur',
+    paymentMethod: null,
+    cardDetails: null,
+    paymentType: 'recurring_payment',
+    description: `Failed payment for ${subscription.subscriptionType} subscription`,
+    receiptUrl: null,
+    refunded: false,
+    refundAmount: 0,
+    metadata: invoice.metadata || {}
+  }, { keepStatuses: ['succeeded'] });
+
+  if (!payment) {
+    console.log('ℹ️ Payment succeeded in the meantime, ignoring the failure:', finalPaymentIntentId);
+    return;
   }
+
+  console.log(`⚠️ Failed payment recorded: ${payment._id}`);
+  await emitEvent('payment.failed', serializePayment(payment));
 };
 
 /**
@@ -811,62 +622,259 @@ const handleInvoicePaymentFailed = async (invoice) => {
 const handleSetupIntentSucceeded = async (setupIntent) => {
   console.log('🧰 Processing setup_intent.succeeded:', setupIntent.id);
 
+  // Expand payment method to get card details
+  const expanded = await stripe.setupIntents.retrieve(setupIntent.id, {
+    expand: ['payment_method']
+  });
+
+  const paymentMethod = expanded.payment_method;
+  let cardDetails = null;
+  if (paymentMethod && typeof paymentMethod === 'object' && paymentMethod.type === 'card' && paymentMethod.card) {
+    const card = paymentMethod.card;
+    cardDetails = {
+      brand: card.brand || null,
+      last4: card.last4 || null,
+      expMonth: card.exp_month || null,
+      expYear: card.exp_year || null,
+      funding: card.funding || null,
+      country: card.country || null,
+      fingerprint: card.fingerprint || null
+    };
+    console.log('✅ Card details from setup intent payment method:', cardDetails);
+  }
+
+  // Try to identify the subscription/customer context
+  let subscription = null;
+  if (setupIntent.customer) {
+    subscription = await Subscription.findOne({
+      stripeCustomerId: setupIntent.customer
+    }).populate('user');
+  }
+
+  if (!subscription) {
+    console.log('ℹ️ No subscription found for setup intent; skipping payment update');
+    return;
+  }
+
+  // A trial checkout saves the card here, before anything is charged
+  await recordCardFingerprint(subscription, cardDetails?.fingerprint);
+
+  // Find a recent processing payment for this subscription (created by invoice handler)
+  const recentProcessingPayment = await Payment.findOne({
+    subscription: subscription._id,
+    status: 'processing'
+  }).sort({ createdAt: -1 });
+
+  if (recentProcessingPayment) {
+    console.log('🔄 Updating processing payment with setup intent card details');
+    if (cardDetails) recentProcessingPayment.cardDetails = cardDetails;
+    if (paymentMethod?.id && !recentProcessingPayment.paymentMethod) {
+      recentProcessingPayment.paymentMethod = paymentMethod.id;
+    }
+    await recentProcessingPayment.save();
+    console.log('✅ Processing payment updated with setup intent details');
+    return;
+  }
+
+  // If no processing payment exists and we have card details, we don't create a new payment here
+  // because amount/timing belongs to invoice/payment_intent events. Just log the card association.
+  console.log('ℹ️ No processing payment to update for setup intent');
+};
+
+// Payment intent a charge, refund or dispute belongs to
+const getPaymentIntentId = (object) => (
+  typeof object.payment_intent === 'string' ? object.payment_intent : object.payment_intent?.id || null
+);
+
+/**
+ * Find the Payment a charge, refund or dispute belongs to
+ * Subscription invoice payments are retried until their Payment exists, since the
+ * invoice events may not have been processed yet; other payments aren't tracked.
+ * @param {Object} object - Stripe charge, refund or dispute
+ * @returns {Object|null} - Payment document
+ */
+const findChargePayment = async (object) => {
+  const paymentIntentId = getPaymentIntentId(object);
+  if (!paymentIntentId) {
+    console.log(`ℹ️ ${object.id} has no payment intent; skipping`);
+    return null;
+  }
+
+  const payment = await Payment.findOne({ stripePaymentIntentId: paymentIntentId });
+  if (payment) return payment;
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  if (paymentIntent.invoice) {
+    // Thrown so the event is retried
+    throw new Error(`Payment not recorded yet for payment intent ${paymentIntentId}`);
+  }
+
+  console.log(`ℹ️ No payment recorded for payment intent ${paymentIntentId}; skipping`);
+  return null;
+};
+
+/**
+ * Copy a charge's refunds from Stripe onto its Payment
+ * The whole refund list is re-read each time, so refund events can arrive in any order.
+ * @param {Object} charge - Stripe charge
+ */
+const syncPaymentRefunds = async (charge) => {
+  const payment = await findChargePayment(charge);
+  if (!payment) return;
+
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  const previous = {
+    refundAmount: payment.refundAmount,
+    refunds: payment.refunds.map(refund => refund.toObject())
+  };
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id },
+    {
+      $set: {
+        // refunded only once the full amount is back with the customer; partial refunds add up in refundAmount
+        refunded: Boolean(charge.refunded),
+        refundAmount: charge.amount_refunded || 0,
+        refunds: refunds.data.map(toRefundEntry)
+      }
+    },
+    { new: true }
+  );
+
+  console.log(`↩️ Payment ${payment._id} refunds synced: ${updated.refundAmount} of ${updated.amount} refunded`);
+
+  await notifyRefundChanges(updated, previous);
+};
+
+// Handle charge.refunded (a full or partial refund was issued)
+const handleChargeRefunded = async (charge) => {
+  console.log('↩️ Processing charge.refunded:', charge.id);
+  await syncPaymentRefunds(charge);
+};
+
+// Handle charge.refund.updated (e.g. a refund failed or was canceled)
+const handleChargeRefundUpdated = async (refund) => {
+  console.log('↩️ Processing charge.refund.updated:', refund.id, refund.status);
+
+  if (!refund.charge) {
+    console.log('ℹ️ Refund has no charge; skipping');
+    return;
+  }
+
+  const charge = await stripe.charges.retrieve(typeof refund.charge === 'string' ? refund.charge : refund.charge.id);
+  await syncPaymentRefunds(charge);
+};
+
+// Dispute statuses that end the dispute
+const CLOSED_DISPUTE_STATUSES = ['won', 'lost', 'warning_closed'];
+
+const buildDisputeFields = (dispute, existing) => ({
+  stripeDisputeId: dispute.id,
+  amount: dispute.amount,
+  reason: dispute.reason || null,
+  status: dispute.status,
+  evidenceDueBy: toDateFromUnix(dispute.evidence_details?.due_by),
+  openedAt: toDateFromUnix(dispute.created),
+  closedAt: CLOSED_DISPUTE_STATUSES.includes(dispute.status) ? existing?.closedAt || new Date() : null
+});
+
+const sendDisputeUpdate = async (payment, dispute, accessSuspended) => {
+  const user = await User.findById(payment.user);
+  if (!user) return;
+
   try {
-    // Expand payment method to get card details
-    const expanded = await stripe.setupIntents.retrieve(setupIntent.id, {
-      expand: ['payment_method']
+    await sendDisputeEmail(user.email, user.name, {
+      amount: dispute.amount,
+      currency: dispute.currency || payment.currency,
+      status: dispute.status,
+      accessSuspended
     });
+  } catch (error) {
+    console.error('⚠️ Failed to send dispute email:', error);
+  }
+};
 
-    const paymentMethod = expanded.payment_method;
-    let cardDetails = null;
-    if (paymentMethod && typeof paymentMethod === 'object' && paymentMethod.type === 'card' && paymentMethod.card) {
-      const card = paymentMethod.card;
-      cardDetails = {
-        brand: card.brand || null,
-        last4: card.last4 || null,
-        expMonth: card.exp_month || null,
-        expYear: card.exp_year || null,
-        funding: card.funding || null,
-        country: card.country || null
-      };
-      console.log('✅ Card details from setup intent payment method:', cardDetails);
-    }
+// Handle charge.dispute.created
+const handleChargeDisputeCreated = async (dispute) => {
+  console.log('⚖️ Processing charge.dispute.created:', dispute.id, dispute.reason);
 
-    // Try to identify the subscription/customer context
-    let subscription = null;
-    if (setupIntent.customer) {
-      subscription = await Subscription.findOne({
-        stripeCustomerId: setupIntent.customer
-      }).populate('user');
-    }
+  const payment = await findChargePayment(dispute);
+  if (!payment) return;
 
-    if (!subscription) {
-      console.log('ℹ️ No subscription found for setup intent; skipping payment update');
-      return;
+  const sameDispute = payment.dispute?.stripeDisputeId === dispute.id;
+  if (sameDispute && payment.dispute.closedAt) {
+    console.log(`ℹ️ Dispute ${dispute.id} already closed; ignoring`);
+    return;
+  }
+
+  await Payment.updateOne({ _id: payment._id }, { $set: { dispute: buildDisputeFields(dispute) } });
+
+  const accessSuspended = process.env.SUSPEND_ACCESS_ON_DISPUTE === 'true';
+  if (accessSuspended) {
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: payment.subscription, accessSuspended: false },
+      { $set: { accessSuspended: true, accessSuspendedReason: 'dispute', accessSuspendedAt: new Date() } },
+      { new: true }
+    );
+
+    if (subscription) {
+      console.log(`⛔ Access suspended for subscription ${subscription._id} (dispute ${dispute.id})`);
+      await emitEvent('access.suspended', { ...serializeSubscription(subscription), reason: 'dispute' });
     }
+  }
 
-    // Find a recent processing payment for this subscription (created by invoice handler)
-    const recentProcessingPayment = await Payment.findOne({
-      subscription: subscription._id,
-      status: 'processing'
-    }).sort({ createdAt: -1 });
-
-    if (recentProcessingPayment) {
-      console.log('🔄 Updating processing payment with setup intent card details');
-      if (cardDetails) recentProcessingPayment.cardDetails = cardDetails;
-      if (paymentMethod?.id && !recentProcessingPayment.paymentMethod) {
-        recentProcessingPayment.paymentMethod = paymentMethod.id;
+  console.log(`⚖️ Dispute ${dispute.id} recorded on payment ${payment._id}`);
+
+  // Redeliveries don't email again
+  if (!sameDispute) {
+    await sendDisputeUpdate(payment, dispute, accessSuspended);
+  }
+};
+
+// Handle charge.dispute.closed
+const handleChargeDisputeClosed = async (dispute) => {
+  console.log('⚖️ Processing charge.dispute.closed:', dispute.id, dispute.status);
+
+  const payment = await findChargePayment(dispute);
+  if (!payment) return;
+
+  const existing = payment.dispute?.stripeDisputeId === dispute.id ? payment.dispute : null;
+  await Payment.updateOne({ _id: payment._id }, { $set: { dispute: buildDisputeFields(dispute, existing) } });
+
+  // A won dispute means the payment stands, so access comes back unless another dispute is still open.
+  // A lost one leaves access suspended: the customer got the money back.
+  let accessSuspended = false;
+  if (dispute.status === 'lost') {
+    const subscription = await Subscription.findById(payment.subscription);
+    accessSuspended = Boolean(subscription?.accessSuspended);
+  } else {
+    const otherOpenDispute = await Payment.exists({
+      _id: { $ne: payment._id },
+      subscription: payment.subscription,
+      dispute: { $ne: null },
+      'dispute.closedAt': null
+    });
+
+    if (otherOpenDispute) {
+      accessSuspended = true;
+    } else {
+      const subscription = await Subscription.findOneAndUpdate(
+        { _id: payment.subscription, accessSuspendedReason: 'dispute' },
+        { $set: { accessSuspended: false, accessSuspendedReason: null, accessSuspendedAt: null } },
+        { new: true }
+      );
+
+      if (subscription) {
+        console.log(`✅ Access restored for subscription ${subscription._id} (dispute ${dispute.id} ${dispute.status})`);
+        await emitEvent('access.restored', serializeSubscription(subscription));
       }
-      await recentProcessingPayment.save();
-      console.log('✅ Processing payment updated with setup intent details');
-      return;
     }
+  }
 
-    // If no processing payment exists and we have card details, we don't create a new payment here
-    // because amount/timing belongs to invoice/payment_intent events. Just log the card association.
-    console.log('ℹ️ No processing payment to update for setup intent');
-  } catch (error) {
-    console.error('❌ Error processing setup_intent.succeeded:', error);
+  console.log(`⚖️ Dispute ${dispute.id} closed (${dispute.status}) on payment ${payment._id}`);
+
+  if (!existing?.closedAt) {
+    await sendDisputeUpdate(payment, dispute, accessSuspended);
   }
 };
 
@@ -884,56 +892,31 @@ const handleTrialWillEnd = async (stripeSubscription) => {
   }
 
   console.log(`⏰ Trial ending soon for subscription: ${subscription._id}`);
-  
-  if (subscription.subscriptionType === 'initial' && subscription.isFirstSubscription) {
-    console.log('🔄 Preparing to upgrade initial subscription to recurring after trial ends');
-  }
-};
+  await emitEvent('trial.ending', serializeSubscription(subscription));
 
-// Upgrade subscription from initial to recurring
-const upgradeToRecurringSubscription = async (subscription) => {
-  console.log('🔄 Upgrading subscription to recurring:', subscription._id);
-
-  try {
-    const recurringPlan = await SubscriptionPlan.getRecurringPlan();
-    if (!recurringPlan) {
-      console.error('❌ Recurring plan not found');
-      return;
-    }
+  // Usually nothing is due yet; the trial-reminders job sends the rest on time
+  await sendDueTrialReminder(subscription);
 
-    const currentSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
-    const currentItemId = currentSubscription.items.data[0].id;
-
-    await stripe.subscriptions.update(
-      subscription.stripeSubscriptionId,
-      {
-        items: [{
-          id: currentItemId,
-          price: recurringPlan.stripePriceId,
-        }],
-        proration_behavior: 'none',
-        metadata: {
-          ...subscription.metadata,
-          planType: 'recurring',
-          upgraded: 'true'
-        }
-      }
-    );
+  if (subscription.subscriptionType === 'initial' && subscription.recurringStartsAt) {
+    console.log(`🗓️ Recurring plan starts on ${subscription.recurringStartsAt.toISOString()}`);
+  }
+};
 
-    subscription.stripePriceId = recurringPlan.stripePriceId;
-    subscription.subscriptionType = 'recurring';
-    subscription.amount = recurringPlan.amount;
-    subscription.isFirstSubscription = false;
-    await subscription.save();
+/**
+ * Handle subscription_schedule.* events
+ * Only the schedule's status is tracked here; the price change itself arrives as
+ * customer.subscription.updated when the recurring phase starts.
+ */
+const handleSubscriptionScheduleChanged = async (schedule, event) => {
+  console.log(`🗓️ Processing ${event?.type || 'subscription_schedule'}:`, schedule.id);
 
-    console.log(`✅ Subscription upgraded to recurring: ${subscription._id}`);
-  } catch (error) {
-    console.error('❌ Error upgrading subscription:', error);
-  }
+  await syncScheduleFromStripe(schedule);
 };
 
 module.exports = {
   handleStripeWebhook,
+  handleStripeConnectWebhook,
+  dispatchStripeEvent,
   handleSubscriptionCreated,
   handleInvoicePaymentSucceeded,
   handlePaymentIntentSucceeded,
@@ -942,8 +925,12 @@ module.exports = {
   handleSubscriptionDeleted,
   handleInvoicePaymentFailed,
   handleTrialWillEnd,
+  handleSubscriptionScheduleChanged,
   handleSetupIntentSucceeded,
-  upgradeToRecurringSubscription,
+  handleChargeRefunded,
+  handleChargeRefundUpdated,
+  handleChargeDisputeCreated,
+  handleChargeDisputeClosed,
   extractCardDetailsFromPaymentIntent,
   getInvoicePaymentIntentId
 };
\ No newline at end of file
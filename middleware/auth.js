@@ -1,7 +1,20 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { ErrorResponse, asyncHandler } = require('../utils/errorHandler');
 
+// Load the session an access token belongs to; revoked or expired sessions fail
+const getActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive || !session.user.equals(decoded.id)) {
+    return null;
+  }
+
+  return session;
+};
+
 // Protect routes
 const protect = asyncHandler(async (req, res, next) => {
   let token;
@@ -24,6 +37,12 @@ const protect = asyncHandler(async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Make sure the session behind the token is still valid
+    const session = await getActiveSession(decoded);
+    if (!session) {
+      return next(new ErrorResponse('Session has expired or been revoked', 401));
+    }
+
     // Get user from token
     const user = await User.findById(decoded.id).select('-password');
 
@@ -37,6 +56,7 @@ const protect = asyncHandler(async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     return next(new ErrorResponse('Not authorized to access this route', 401));
@@ -54,6 +74,19 @@ const authorize = (...roles) => {
         )
       );
     }
+
+    // Admins can be forced to enroll in 2FA before using admin routes
+    if (req.user.role === 'admin' &&
+        process.env.REQUIRE_ADMIN_2FA === 'true' &&
+        !req.user.twoFactorEnabled) {
+      return next(
+        new ErrorResponse(
+          'Two-factor authentication must be enabled for admin accounts',
+          403,
+          'ADMIN_2FA_REQUIRED'
+        )
+      );
+    }
     next();
   };
 };
@@ -79,10 +112,12 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
   if (token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
-      
+      const session = await getActiveSession(decoded);
+      const user = session && await User.findById(decoded.id).select('-password');
+
       if (user && user.isActive) {
         req.user = user;
+        req.authSession = session;
       }
     } catch (error) {
       // Ignore token errors for optional auth
@@ -10,12 +10,16 @@ const generalLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Token refreshes have their own limiter (refreshLimiter)
+  skip: (req) => req.path === '/api/auth/refresh',
 });
 
 // Auth rate limiter (more restrictive)
+// Per-account lockout in the login controller covers credential guessing on one account;
+// this only caps how fast a single IP can spray attempts across accounts.
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 5 requests per windowMs
+  max: Number(process.env.AUTH_RATE_LIMIT_MAX) || 20, // limit each IP to 20 requests per windowMs
   message: {
     success: false,
     error: 'Too many authentication attempts, please try again later.'
@@ -24,6 +28,21 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Token refresh rate limiter
+// Clients refresh every access-token lifetime per tab, so users behind a shared NAT need far
+// more headroom than authLimiter gives; refresh tokens are random and rotated, so there is
+// nothing to guess.
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: Number(process.env.REFRESH_RATE_LIMIT_MAX) || 300, // limit each IP to 300 refreshes per windowMs
+  message: {
+    success: false,
+    error: 'Too many token refresh requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // OTP rate limiter
 const otpLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -63,6 +82,7 @@ const subscriptionLimiter = rateLimit({
 module.exports = {
   generalLimiter,
   authLimiter,
+  refreshLimiter,
   otpLimiter,
   passwordResetLimiter,
   subscriptionLimiter
@@ -21,7 +21,8 @@ const checkTrialOnLogin = asyncHandler(async (req, res, next) => {
       shouldCharge: chargeDecision.shouldCharge,
       reason: chargeDecision.reason,
       trialEnd: chargeDecision.trialEnd,
-      subscription: chargeDecision.subscription
+      recurringStartsAt: chargeDecision.recurringStartsAt,
+      subscriptionId: chargeDecision.subscriptionId
     };
 
     // If user should be charged, we can handle it here or pass to next middleware
@@ -76,7 +77,8 @@ const provideTrialInfo = asyncHandler(async (req, res, next) => {
       shouldCharge: chargeDecision.shouldCharge,
       reason: chargeDecision.reason,
       trialEnd: chargeDecision.trialEnd,
-      subscription: chargeDecision.subscription
+      recurringStartsAt: chargeDecision.recurringStartsAt,
+      subscriptionId: chargeDecision.subscriptionId
     };
 
     next();
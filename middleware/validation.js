@@ -90,6 +90,7 @@ const validateResetPassword = [
 ];
 
 // Validation rules for resending OTP
+// Login codes are only sent by /login/otp/request, which checks the second-factor challenge
 const validateResendOTP = [
   body('email')
     .isEmail()
@@ -97,12 +98,115 @@ const validateResendOTP = [
     .withMessage('Please provide a valid email'),
   
   body('type')
-    .isIn(['email_verification', 'login', 'password_reset'])
-    .withMessage('Invalid OTP type'),
+    .isIn(['email_verification', 'password_reset'])
+    .withMessage('Invalid OTP type (request login codes with /api/auth/login/otp/request)'),
   
   handleValidationErrors
 ];
 
+// Validation rules for requesting a login OTP
+const validateLoginOTPRequest = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+
+  handleValidationErrors
+];
+
+// Validation rules for signing in with a login OTP
+const validateLoginOTPVerify = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+
+  body('otp')
+    .isLength({ min: 6, max: 6 })
+    .isNumeric()
+    .withMessage('OTP must be a 6-digit number'),
+
+  handleValidationErrors
+];
+
+// Validation rules for requesting an email change
+const validateChangeEmail = [
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  handleValidationErrors
+];
+
+// Validation rules for admin refunds
+const validateRefund = [
+  body('amount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Amount must be a positive number of cents')
+    .toInt(),
+
+  body('reason')
+    .isIn(['duplicate', 'fraudulent', 'requested_by_customer'])
+    .withMessage('Reason must be duplicate, fraudulent or requested_by_customer'),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+
+  handleValidationErrors
+];
+
+// Reason recorded with admin grants
+const grantReason = () => body('reason')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 500 })
+  .withMessage('Reason is required and must be at most 500 characters');
+
+// Validation rules for admin trial extensions
+const validateTrialExtension = [
+  body('days')
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be a whole number between 1 and 90')
+    .toInt(),
+
+  grantReason(),
+
+  handleValidationErrors
+];
+
+// Validation rules for admin credits (free weeks or an amount in cents)
+const validateCredit = [
+  body('weeks')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Weeks must be a whole number between 1 and 52')
+    .toInt(),
+
+  body('amount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Amount must be a positive number of cents')
+    .toInt(),
+
+  body()
+    .custom(({ weeks, amount } = {}) => (weeks === undefined) !== (amount === undefined))
+    .withMessage('Give either weeks or amount'),
+
+  grantReason(),
+
+  handleValidationErrors
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
@@ -110,5 +214,11 @@ module.exports = {
   validateForgotPassword,
   validateResetPassword,
   validateResendOTP,
+  validateLoginOTPRequest,
+  validateLoginOTPVerify,
+  validateChangeEmail,
+  validateRefund,
+  validateTrialExtension,
+  validateCredit,
   handleValidationErrors
 };
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Trial extensions and credits granted by an admin (e.g. after an outage), kept for auditing
+const grantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subscription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subscription',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['trial_extension', 'credit'],
+    required: true
+  },
+  // Admin who made the grant
+  grantedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  // Trial extensions
+  days: {
+    type: Number,
+    default: null
+  },
+  previousTrialEnd: {
+    type: Date,
+    default: null
+  },
+  newTrialEnd: {
+    type: Date,
+    default: null
+  },
+  // Credits (amount in cents, added to the Stripe customer balance)
+  weeks: {
+    type: Number,
+    default: null
+  },
+  amount: {
+    type: Number,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: null
+  },
+  stripeBalanceTransactionId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+grantSchema.index({ user: 1, createdAt: -1 });
+grantSchema.index({ subscription: 1, createdAt: -1 });
+grantSchema.index({ grantedBy: 1, createdAt: -1 });
+grantSchema.index({ stripeBalanceTransactionId: 1 });
+
+module.exports = mongoose.model('Grant', grantSchema);
@@ -7,13 +7,14 @@ const otpSchema = new mongoose.Schema({
     required: true,
     lowercase: true
   },
+  // HMAC of the code, never the code itself (hashed on save)
   otp: {
     type: String,
     required: true
   },
   type: {
     type: String,
-    enum: ['email_verification', 'login', 'password_reset'],
+    enum: ['email_verification', 'login', 'password_reset', 'email_change'],
     required: true
   },
   isUsed: {
@@ -32,7 +33,7 @@ const otpSchema = new mongoose.Schema({
     type: Date,
     required: true,
     default: function() {
-      return new Date(Date.now() + 10 * 60 * 1000); // 10 minutes from now
+      return new Date(Date.now() + (Number(process.env.OTP_EXPIRE_MINUTES) || 10) * 60 * 1000); // 10 minutes by default
     }
   },
   ipAddress: {
@@ -54,9 +55,26 @@ otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 otpSchema.index({ email: 1, type: 1, isUsed: 1 });
 otpSchema.index({ otp: 1, type: 1 });
 
+// Hash OTP bound to its email so equal codes never share a hash
+const hashOTP = (email, otp) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_HMAC_SECRET || process.env.JWT_SECRET)
+    .update(`${String(email).toLowerCase()}:${otp}`)
+    .digest('hex');
+
+// Hash OTP before saving
+otpSchema.pre('save', function(next) {
+  if (!this.isModified('otp')) {
+    return next();
+  }
+
+  this.otp = hashOTP(this.email, this.otp);
+  next();
+});
+
 // Generate OTP
 otpSchema.statics.generateOTP = function() {
-  return Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
+  return crypto.randomInt(100000, 1000000).toString(); // 6-digit OTP from a CSPRNG
 };
 
 // Verify OTP
@@ -79,8 +97,11 @@ otpSchema.methods.verifyOTP = function(inputOTP) {
   // Increment attempts
   this.attempts += 1;
 
-  // Check if OTP matches
-  if (this.otp !== inputOTP) {
+  // Check if OTP matches (constant time). A stored value that isn't a hash (e.g. a plaintext
+  // code from before OTPs were hashed) has another length and never matches.
+  const inputHash = Buffer.from(hashOTP(this.email, inputOTP), 'hex');
+  const storedHash = Buffer.from(String(this.otp), 'hex');
+  if (inputHash.length !== storedHash.length || !crypto.timingSafeEqual(inputHash, storedHash)) {
     return { success: false, message: 'Invalid OTP' };
   }
 
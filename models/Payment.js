@@ -1,4 +1,75 @@
 const mongoose = require('mongoose');
+const { dryRunPlugin } = require('../utils/dryRun');
+
+// One Stripe refund of the payment's charge
+const refundSchema = new mongoose.Schema({
+  stripeRefundId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true // Amount in cents
+  },
+  status: {
+    type: String,
+    default: null // pending, succeeded, failed, canceled, requires_action
+  },
+  reason: {
+    type: String,
+    default: null // duplicate, fraudulent, requested_by_customer
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  // Admin who issued the refund through the API (null for refunds made in Stripe)
+  refundedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Chargeback opened by the cardholder's bank
+const disputeSchema = new mongoose.Schema({
+  stripeDisputeId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true // Amount in cents
+  },
+  reason: {
+    type: String,
+    default: null // fraudulent, product_not_received, subscription_canceled...
+  },
+  status: {
+    type: String,
+    default: null // needs_response, under_review, won, lost...
+  },
+  evidenceDueBy: {
+    type: Date,
+    default: null
+  },
+  openedAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
   user: {
@@ -69,6 +140,11 @@ const paymentSchema = new mongoose.Schema({
     country: {
       type: String,
       default: null
+    },
+    // Same for every payment with the same card number (used for trial abuse checks)
+    fingerprint: {
+      type: String,
+      default: null
     }
   },
   paymentType: {
@@ -88,17 +164,32 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // True once the whole charge has been refunded
   refunded: {
     type: Boolean,
     default: false
   },
+  // Total refunded so far, in cents (partial refunds included)
   refundAmount: {
     type: Number,
     default: 0
   },
+  refunds: {
+    type: [refundSchema],
+    default: []
+  },
+  dispute: {
+    type: disputeSchema,
+    default: null
+  },
   metadata: {
     type: Object,
     default: {}
+  },
+  // Set when the owning account was deleted and personal data was stripped
+  anonymizedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -120,9 +211,17 @@ paymentSchema.virtual('isFailed').get(function() {
   return ['canceled'].includes(this.status) || this.failureReason;
 });
 
+// Virtual for checking if a dispute is still open
+paymentSchema.virtual('isDisputed').get(function() {
+  return Boolean(this.dispute && !this.dispute.closedAt);
+});
+
 // Method to get formatted amount
 paymentSchema.methods.getFormattedAmount = function() {
   return (this.amount / 100).toFixed(2);
 };
 
+// Report instead of write during dry runs (webhook replay)
+paymentSchema.plugin(dryRunPlugin);
+
 module.exports = mongoose.model('Payment', paymentSchema);
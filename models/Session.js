@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out of this session.
+  // Presenting one of these again means the token family has leaked.
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'refresh_token_reuse', 'user_revoked', 'password_change', 'password_reset', 'account_deletion', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for automatic deletion of expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Index for efficient queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for checking if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && new Date() < this.expiresAt;
+});
+
+// Hash a refresh token secret for storage
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a new refresh token secret
+sessionSchema.statics.generateRefreshSecret = function() {
+  return crypto.randomBytes(40).toString('hex');
+};
+
+// Atomically swap the presented refresh token for a new one.
+// Resolves to null when the presented token is not the current one.
+sessionSchema.statics.rotateRefreshToken = function(sessionId, presentedSecret, nextSecret) {
+  const presentedHash = this.hashToken(presentedSecret);
+
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: this.hashToken(nextSecret),
+        lastUsedAt: new Date()
+      },
+      $push: { previousTokenHashes: presentedHash }
+    },
+    { new: true }
+  );
+};
+
+// Check whether a refresh token was already rotated out of this session
+sessionSchema.methods.wasTokenRotated = function(secret) {
+  return (this.previousTokenHashes || []).includes(this.constructor.hashToken(secret));
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+// Revoke session
+sessionSchema.methods.revoke = function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
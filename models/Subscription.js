@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { dryRunPlugin } = require('../utils/dryRun');
 
 const subscriptionSchema = new mongoose.Schema({
   user: {
@@ -85,6 +86,59 @@ const subscriptionSchema = new mongoose.Schema({
   metadata: {
     type: Object,
     default: {}
+  },
+  // Stripe subscription schedule moving an initial subscription to the recurring price
+  stripeScheduleId: {
+    type: String,
+    default: null
+  },
+  scheduleStatus: {
+    type: String,
+    enum: ['not_started', 'active', 'completed', 'released', 'canceled', null],
+    default: null
+  },
+  // When the schedule's recurring phase starts
+  recurringStartsAt: {
+    type: Date,
+    default: null
+  },
+  // Trial emails already sent ('48h', '24h', ..., 'conversion'), so each goes out once
+  trialReminders: {
+    type: [{
+      _id: false,
+      key: { type: String, required: true },
+      sentAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+  // Set while the trial-schedules job attaches a schedule (and after a failed attempt, until retried)
+  scheduleClaimedAt: {
+    type: Date,
+    default: null
+  },
+  // Credit granted by admins in cents (added to the Stripe customer balance, see Grant)
+  creditGranted: {
+    type: Number,
+    default: 0
+  },
+  // Access withheld while a payment dispute is open (see SUSPEND_ACCESS_ON_DISPUTE)
+  accessSuspended: {
+    type: Boolean,
+    default: false
+  },
+  accessSuspendedReason: {
+    type: String,
+    enum: ['dispute', null],
+    default: null
+  },
+  accessSuspendedAt: {
+    type: Date,
+    default: null
+  },
+  // created time of the last Stripe event applied, so older events can't overwrite newer state
+  lastStripeEventAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -94,10 +148,13 @@ const subscriptionSchema = new mongoose.Schema({
 subscriptionSchema.index({ user: 1, status: 1 });
 subscriptionSchema.index({ stripeSubscriptionId: 1 });
 subscriptionSchema.index({ stripeCustomerId: 1 });
+subscriptionSchema.index({ stripeScheduleId: 1 });
+subscriptionSchema.index({ subscriptionType: 1, scheduleStatus: 1 });
+subscriptionSchema.index({ subscriptionType: 1, trialEnd: 1 });
 
-// Virtual for checking if subscription is active
+// Virtual for checking if subscription is active (and access isn't suspended)
 subscriptionSchema.virtual('isActive').get(function() {
-  return ['active', 'trialing'].includes(this.status);
+  return ['active', 'trialing'].includes(this.status) && !this.accessSuspended;
 });
 
 // Virtual for checking if in trial period
@@ -115,4 +172,7 @@ subscriptionSchema.methods.shouldUpgradeToRecurring = function() {
          new Date() >= this.trialEnd;
 };
 
+// Report instead of write during dry runs (webhook replay)
+subscriptionSchema.plugin(dryRunPlugin);
+
 module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { dryRunPlugin } = require('../utils/dryRun');
+
+// Signals behind each free trial that was granted, checked before granting another one.
+// Kept when the account is deleted, so deleting and re-registering doesn't earn a new trial.
+const trialClaimSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subscription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subscription',
+    required: true,
+    unique: true
+  },
+  // The signals are stored as keyed hashes (see hashTrialSignal): they are only compared for
+  // equality, and nothing readable is left behind when the account is deleted.
+  // Hash of the email with plus-addressing (and Gmail dots) removed, see normalizeEmail
+  emailHash: {
+    type: String,
+    required: true
+  },
+  signupIpHash: {
+    type: String,
+    default: null
+  },
+  // Hashes of the Stripe card fingerprints seen for the trial (the same card gives the same fingerprint)
+  cardFingerprintHashes: {
+    type: [String],
+    default: []
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+trialClaimSchema.index({ emailHash: 1 });
+trialClaimSchema.index({ cardFingerprintHashes: 1 });
+trialClaimSchema.index({ signupIpHash: 1, createdAt: -1 });
+
+// Report instead of write during dry runs (webhook replay)
+trialClaimSchema.plugin(dryRunPlugin);
+
+module.exports = mongoose.model('TrialClaim', trialClaimSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const { dryRunPlugin } = require('../utils/dryRun');
 const bcrypt = require('bcryptjs');
+const { verifyTOTP, decryptSecret, hashRecoveryCode } = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,6 +20,12 @@ const userSchema = new mongoose.Schema({
       'Please provide a valid email'
     ]
   },
+  // New address awaiting OTP confirmation (see /api/auth/change-email)
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -36,6 +44,15 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Trial abuse signals (see services/trialEligibilityService.js)
+  signupIp: {
+    type: String,
+    default: null
+  },
+  cardFingerprints: {
+    type: [String],
+    default: []
+  },
   role: {
     type: String,
     enum: ['user', 'admin'],
@@ -49,10 +66,101 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Failed password / 2FA login attempts since the last successful login
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Devices (IP + user agent) this account has signed in from
+  knownDevices: [{
+    fingerprint: String,
+    ipAddress: String,
+    userAgent: String,
+    firstSeenAt: Date,
+    lastSeenAt: Date
+  }],
+  // Failed OTP verifications across all OTP records of this account
+  otpFailedAttempts: {
+    type: Number,
+    default: 0
+  },
+  otpLockUntil: {
+    type: Date,
+    default: null
+  },
+  unlockToken: String,
+  unlockTokenExpire: Date,
+  // Account deletion with grace period (see services/accountService.js)
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  // Set while the account-deletions job purges the account; an older claim is treated as abandoned
+  deletionClaimedAt: {
+    type: Date,
+    default: null
+  },
+  // Failed purges are retried with backoff, so one bad account doesn't hold up the others
+  deletionAttempts: {
+    type: Number,
+    default: 0
+  },
+  deletionNextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  deletionLastError: {
+    type: String,
+    default: null
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  resetPasswordUsed: {
+    type: Boolean,
+    default: false
+  },
   emailVerificationToken: String,
-  emailVerificationExpire: Date
+  emailVerificationExpire: Date,
+  // Require an emailed login OTP after the password step
+  emailOtpSecondFactor: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // Encrypted TOTP secrets (see utils/totp.js)
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  }
 }, {
   timestamps: true
 });
@@ -60,7 +168,7 @@ const userSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
@@ -85,10 +193,50 @@ userSchema.methods.getResetPasswordToken = function() {
 
   // Set expire
   this.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+  this.resetPasswordUsed = false;
 
   return resetToken;
 };
 
+// Check a reset grant token and mark it used (single-use)
+// The check and the update are one conditional write, so concurrent resets can't both use the grant
+userSchema.methods.consumeResetPasswordToken = async function(resetToken) {
+  const hashedToken = require('crypto')
+    .createHash('sha256')
+    .update(String(resetToken))
+    .digest('hex');
+
+  const consumed = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      resetPasswordToken: hashedToken,
+      resetPasswordUsed: false,
+      resetPasswordExpire: { $gt: new Date() }
+    },
+    { $set: { resetPasswordUsed: true } },
+    { new: true }
+  );
+
+  if (consumed) {
+    this.resetPasswordUsed = true;
+    return { success: true };
+  }
+
+  // Explain the failure from the grant's current state
+  const current = await this.constructor.findById(this._id)
+    .select('resetPasswordToken resetPasswordUsed resetPasswordExpire');
+
+  if (!current || current.resetPasswordToken !== hashedToken) {
+    return { success: false, code: 'RESET_GRANT_MISMATCH', message: 'Reset token is not valid for this account' };
+  }
+
+  if (current.resetPasswordUsed) {
+    return { success: false, code: 'RESET_GRANT_USED', message: 'Reset token has already been used' };
+  }
+
+  return { success: false, code: 'RESET_GRANT_EXPIRED', message: 'Reset token has expired. Please request a new OTP' };
+};
+
 // Generate email verification token
 userSchema.methods.getEmailVerificationToken = function() {
   // Generate token
@@ -106,4 +254,143 @@ userSchema.methods.getEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Virtual for checking if login is temporarily locked
+userSchema.virtual('isLoginLocked').get(function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
+});
+
+// Count a failed login; locks with exponential backoff once the limit is reached.
+// Returns true when this failure locks the account.
+userSchema.methods.registerLoginFailure = function() {
+  const maxAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseMinutes = Number(process.env.LOGIN_LOCK_BASE_MINUTES) || 1;
+  const maxMinutes = Number(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60;
+
+  this.loginAttempts += 1;
+
+  if (this.loginAttempts < maxAttempts) {
+    return false;
+  }
+
+  // 1, 2, 4, 8... minutes for each failure past the limit
+  const lockMinutes = Math.min(baseMinutes * 2 ** (this.loginAttempts - maxAttempts), maxMinutes);
+  this.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  return true;
+};
+
+// Clear failed login counter and lock
+userSchema.methods.resetLoginFailures = function() {
+  this.loginAttempts = 0;
+  this.lockUntil = null;
+};
+
+// Remember the device a login came from; returns true if it was not seen before
+// (the very first device of an account does not count as new)
+userSchema.methods.recordDevice = function(ipAddress, userAgent) {
+  const fingerprint = require('crypto')
+    .createHash('sha256')
+    .update(`${ipAddress || ''}|${userAgent || ''}`)
+    .digest('hex');
+  const now = new Date();
+
+  const known = this.knownDevices.find(device => device.fingerprint === fingerprint);
+  if (known) {
+    known.lastSeenAt = now;
+    return false;
+  }
+
+  const isNew = this.knownDevices.length > 0;
+
+  this.knownDevices.push({ fingerprint, ipAddress, userAgent, firstSeenAt: now, lastSeenAt: now });
+
+  // Keep the most recently used devices only
+  if (this.knownDevices.length > 20) {
+    this.knownDevices.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    this.knownDevices.splice(20);
+  }
+
+  return isNew;
+};
+
+// Virtual for checking if OTP verification is temporarily locked
+userSchema.virtual('isOTPLocked').get(function() {
+  return !!this.otpLockUntil && this.otpLockUntil > new Date();
+});
+
+// Count a failed OTP verification; returns true when it locks the account
+userSchema.methods.registerOTPFailure = function() {
+  const maxFailures = Number(process.env.OTP_MAX_FAILURES) || 5;
+  const lockMinutes = Number(process.env.OTP_LOCK_MINUTES) || 30;
+
+  this.otpFailedAttempts += 1;
+
+  if (this.otpFailedAttempts >= maxFailures) {
+    this.otpFailedAttempts = 0;
+    this.otpLockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    return true;
+  }
+
+  return false;
+};
+
+// Clear OTP failure counter and lock
+userSchema.methods.resetOTPFailures = function() {
+  this.otpFailedAttempts = 0;
+  this.otpLockUntil = null;
+  this.unlockToken = undefined;
+  this.unlockTokenExpire = undefined;
+};
+
+// Generate and hash account unlock token
+userSchema.methods.getUnlockToken = function() {
+  const unlockToken = require('crypto').randomBytes(20).toString('hex');
+
+  this.unlockToken = require('crypto')
+    .createHash('sha256')
+    .update(unlockToken)
+    .digest('hex');
+
+  // Valid for as long as the lock itself could last
+  this.unlockTokenExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return unlockToken;
+};
+
+// Verify a second-factor code: TOTP from the authenticator app or a one-time recovery code
+// Requires +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep to be selected
+userSchema.methods.verifyTwoFactorCode = function({ code, recoveryCode }) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) {
+    return { success: false, message: 'Two-factor authentication is not enabled' };
+  }
+
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const index = (this.twoFactorRecoveryCodes || []).indexOf(hashed);
+    if (index === -1) {
+      return { success: false, message: 'Invalid recovery code' };
+    }
+
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return { success: true, method: 'recovery_code' };
+  }
+
+  const matchedStep = verifyTOTP(decryptSecret(this.twoFactorSecret), code);
+  if (matchedStep === null) {
+    return { success: false, message: 'Invalid authentication code' };
+  }
+
+  if (this.twoFactorLastUsedStep && matchedStep <= this.twoFactorLastUsedStep) {
+    return { success: false, message: 'Authentication code has already been used' };
+  }
+
+  this.twoFactorLastUsedStep = matchedStep;
+  return { success: true, method: 'totp' };
+};
+
+// Email changes check that the new address isn't pending on another account
+userSchema.index({ pendingEmail: 1 });
+
+// Report instead of write during dry runs (webhook replay)
+userSchema.plugin(dryRunPlugin);
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { dryRunPlugin } = require('../utils/dryRun');
+
+// A "processing" claim older than this is treated as abandoned (e.g. the process crashed)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// One outbound event for one subscriber, with its delivery attempts
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriber: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'WebhookSubscriber',
+    required: true
+  },
+  // Id of the event, the same for every subscriber it was sent to
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body that is sent (and signed)
+  payload: {
+    type: Object,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'succeeded', 'failed', 'dead_letter'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // HTTP status of the last attempt (null when the request itself failed)
+  lastResponseStatus: {
+    type: Number,
+    default: null
+  },
+  processingStartedAt: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for efficient queries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriber: 1, createdAt: -1 });
+// An event is queued at most once per subscriber, however often its Stripe event runs
+webhookDeliverySchema.index({ eventId: 1, subscriber: 1 }, { unique: true });
+
+// Deliveries the worker may run now: due for a (re)try, or abandoned mid-delivery
+const claimableFilter = () => {
+  const now = new Date();
+
+  return {
+    $or: [
+      { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+      { status: 'processing', processingStartedAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+    ]
+  };
+};
+
+const claimUpdate = () => ({
+  $set: { status: 'processing', processingStartedAt: new Date() },
+  $inc: { attempts: 1 }
+});
+
+// Atomically claim a delivery, or resolve to null when it is not due or already claimed
+webhookDeliverySchema.statics.claim = function(id) {
+  return this.findOneAndUpdate(
+    { _id: id, ...claimableFilter() },
+    claimUpdate(),
+    { new: true }
+  );
+};
+
+// Atomically claim the oldest due delivery, or resolve to null when there is none
+webhookDeliverySchema.statics.claimNext = function() {
+  return this.findOneAndUpdate(
+    claimableFilter(),
+    claimUpdate(),
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Record a successful delivery
+webhookDeliverySchema.methods.markSucceeded = function(responseStatus) {
+  this.status = 'succeeded';
+  this.lastError = null;
+  this.lastResponseStatus = responseStatus;
+  this.deliveredAt = new Date();
+  return this.save();
+};
+
+// Record a failed attempt and schedule the retry with exponential backoff.
+// Once maxAttempts attempts have failed the delivery is dead-lettered until an admin retries it.
+webhookDeliverySchema.methods.markFailed = function(error, responseStatus, { maxAttempts, baseDelayMs, maxDelayMs }) {
+  this.lastError = error?.message || String(error);
+  this.lastResponseStatus = responseStatus || null;
+
+  if (this.attempts >= maxAttempts) {
+    this.status = 'dead_letter';
+    this.nextAttemptAt = null;
+  } else {
+    const delay = Math.min(baseDelayMs * 2 ** (this.attempts - 1), maxDelayMs);
+    this.status = 'failed';
+    this.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  return this.save();
+};
+
+// Put a delivery back in the queue with a fresh set of attempts
+webhookDeliverySchema.methods.requeue = function() {
+  this.status = 'pending';
+  this.attempts = 0;
+  this.nextAttemptAt = new Date();
+  this.processingStartedAt = null;
+  return this.save();
+};
+
+// Report instead of write during dry runs (webhook replay)
+webhookDeliverySchema.plugin(dryRunPlugin);
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
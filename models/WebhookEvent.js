@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+
+// A "processing" claim older than this is treated as abandoned (e.g. the process crashed)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const webhookEventSchema = new mongoose.Schema({
+  stripeEventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  apiVersion: {
+    type: String,
+    default: null
+  },
+  livemode: {
+    type: Boolean,
+    default: false
+  },
+  // Webhook endpoint the event arrived on
+  endpoint: {
+    type: String,
+    enum: ['account', 'connect'],
+    default: 'account'
+  },
+  // Connected account the event belongs to (Connect events only)
+  account: {
+    type: String,
+    default: null
+  },
+  // event.created from Stripe
+  stripeCreatedAt: {
+    type: Date,
+    default: null
+  },
+  // Stripe customer the event belongs to, for per-customer inspection
+  customerId: {
+    type: String,
+    default: null
+  },
+  // Id of event.data.object (subscription, invoice, payment intent...)
+  objectId: {
+    type: String,
+    default: null
+  },
+  payload: {
+    type: Object,
+    required: true
+  },
+  // Set when the payload was emptied because the customer's account was deleted
+  redactedAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'succeeded', 'failed', 'dead_letter'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the worker may pick the event up (pushed back after each failure)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  processingStartedAt: {
+    type: Date,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  lastReplayedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for efficient queries
+webhookEventSchema.index({ customerId: 1, stripeCreatedAt: -1 });
+webhookEventSchema.index({ type: 1, stripeCreatedAt: -1 });
+webhookEventSchema.index({ objectId: 1 });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Stripe customer id referenced by an event object, if any
+const getCustomerId = (object) => {
+  if (!object) return null;
+  if (object.object === 'customer') return object.id;
+  if (typeof object.customer === 'string') return object.customer;
+  return object.customer?.id || null;
+};
+
+// Store a verified Stripe event; returns the existing record for redeliveries
+webhookEventSchema.statics.recordEvent = async function(event, { endpoint = 'account' } = {}) {
+  const object = event.data?.object;
+
+  try {
+    return await this.findOneAndUpdate(
+      { stripeEventId: event.id },
+      {
+        $setOnInsert: {
+          stripeEventId: event.id,
+          type: event.type,
+          apiVersion: event.api_version || null,
+          livemode: Boolean(event.livemode),
+          endpoint,
+          account: event.account || null,
+          stripeCreatedAt: event.created ? new Date(event.created * 1000) : null,
+          customerId: getCustomerId(object),
+          objectId: object?.id || null,
+          payload: event
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two deliveries of the same event raced on the upsert
+    if (error.code === 11000) {
+      return this.findOne({ stripeEventId: event.id });
+    }
+    throw error;
+  }
+};
+
+// Events the worker may run now: due for a (re)try, or abandoned mid-processing
+const claimableFilter = () => {
+  const now = new Date();
+
+  return {
+    $or: [
+      { status: { $in: ['received', 'failed'] }, nextAttemptAt: { $lte: now } },
+      { status: 'processing', processingStartedAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+    ]
+  };
+};
+
+const claimUpdate = () => ({
+  $set: { status: 'processing', processingStartedAt: new Date() },
+  $inc: { attempts: 1 }
+});
+
+// Atomically claim an event for processing. Resolves to null when it is not due,
+// already succeeded, or another worker is processing it right now.
+webhookEventSchema.statics.claim = function(id) {
+  return this.findOneAndUpdate(
+    { _id: id, ...claimableFilter() },
+    claimUpdate(),
+    { new: true }
+  );
+};
+
+// Atomically claim the oldest due event, or resolve to null when there is none
+webhookEventSchema.statics.claimNext = function() {
+  return this.findOneAndUpdate(
+    claimableFilter(),
+    claimUpdate(),
+    { new: true, sort: { nextAttemptAt: 1, stripeCreatedAt: 1 } }
+  );
+};
+
+// Atomically claim an event for an admin replay, whatever its status, unless it is being
+// processed right now. Resolves to the event as it was before the claim, or null.
+webhookEventSchema.statics.claimForReplay = function(id) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: { $ne: 'processing' } },
+        { processingStartedAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', processingStartedAt: now, lastReplayedAt: now } },
+    { new: false }
+  );
+};
+
+// Record a successful run
+webhookEventSchema.methods.markSucceeded = function() {
+  this.status = 'succeeded';
+  this.lastError = null;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+// Record a failed run and schedule the retry with exponential backoff.
+// Once maxAttempts runs have failed the event is dead-lettered until an admin retries it.
+webhookEventSchema.methods.markFailed = function(error, { maxAttempts, baseDelayMs, maxDelayMs }) {
+  this.lastError = error?.message || String(error);
+
+  if (this.attempts >= maxAttempts) {
+    this.status = 'dead_letter';
+    this.nextAttemptAt = null;
+  } else {
+    const delay = Math.min(baseDelayMs * 2 ** (this.attempts - 1), maxDelayMs);
+    this.status = 'failed';
+    this.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  return this.save();
+};
+
+// Put an event back in the queue with a fresh set of attempts
+webhookEventSchema.methods.requeue = function() {
+  this.status = 'received';
+  this.attempts = 0;
+  this.nextAttemptAt = new Date();
+  this.processingStartedAt = null;
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Events other services can subscribe to ('*' receives all of them)
+const OUTBOUND_EVENT_TYPES = [
+  'subscription.activated',
+  'subscription.updated',
+  'subscription.canceled',
+  'subscription.reactivated',
+  'subscription.ended',
+  'payment.succeeded',
+  'payment.failed',
+  'payment.refunded',
+  'trial.ending',
+  'access.suspended',
+  'access.restored'
+];
+
+const webhookSubscriberSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Please provide a URL'],
+    match: [/^https?:\/\/\S+$/, 'Please provide a valid http(s) URL']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: [...OUTBOUND_EVENT_TYPES, '*']
+    }],
+    validate: [events => events.length > 0, 'Please subscribe to at least one event type']
+  },
+  description: {
+    type: String,
+    maxlength: 200,
+    default: null
+  },
+  // HMAC key deliveries are signed with; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriberSchema.index({ isActive: 1, events: 1 });
+
+webhookSubscriberSchema.statics.EVENT_TYPES = OUTBOUND_EVENT_TYPES;
+
+webhookSubscriberSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Active subscribers that want an event type
+webhookSubscriberSchema.statics.findForEvent = function(type) {
+  return this.find({ isActive: true, events: { $in: [type, '*'] } }).select('+secret');
+};
+
+module.exports = mongoose.model('WebhookSubscriber', webhookSubscriberSchema);
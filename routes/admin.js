@@ -0,0 +1,67 @@
+const express = require('express');
+const {
+  getLockedUsers,
+  getUserLock,
+  unlockUser,
+  getWebhookEvents,
+  getWebhookEvent,
+  retryWebhookEvent,
+  replayWebhookEvent,
+  replayWebhookEvents,
+  runReconciliation,
+  refundPayment,
+  extendSubscriptionTrial,
+  creditSubscription,
+  getGrants,
+  getWebhookSubscribers,
+  createWebhookSubscriber,
+  getWebhookSubscriber,
+  updateWebhookSubscriber,
+  deleteWebhookSubscriber,
+  rotateWebhookSubscriberSecret,
+  getWebhookDeliveries,
+  retryWebhookDelivery
+} = require('../controllers/adminController');
+const { validateRefund, validateTrialExtension, validateCredit } = require('../middleware/validation');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(protect, authorize('admin'));
+
+// Account lockouts
+router.get('/users/locked', getLockedUsers);
+router.get('/users/:id/lock', getUserLock);
+router.post('/users/:id/unlock', unlockUser);
+
+// Stripe webhook events
+router.get('/webhooks/events', getWebhookEvents);
+router.post('/webhooks/events/replay', replayWebhookEvents);
+router.get('/webhooks/events/:id', getWebhookEvent);
+router.post('/webhooks/events/:id/retry', retryWebhookEvent);
+router.post('/webhooks/events/:id/replay', replayWebhookEvent);
+
+// Outbound webhooks
+router.get('/webhooks/subscribers', getWebhookSubscribers);
+router.post('/webhooks/subscribers', createWebhookSubscriber);
+router.get('/webhooks/subscribers/:id', getWebhookSubscriber);
+router.patch('/webhooks/subscribers/:id', updateWebhookSubscriber);
+router.delete('/webhooks/subscribers/:id', deleteWebhookSubscriber);
+router.post('/webhooks/subscribers/:id/rotate-secret', rotateWebhookSubscriberSecret);
+router.get('/webhooks/subscribers/:id/deliveries', getWebhookDeliveries);
+router.post('/webhooks/deliveries/:id/retry', retryWebhookDelivery);
+
+// Payments
+router.post('/payments/:id/refund', validateRefund, refundPayment);
+
+// Trial extensions and credits
+router.post('/subscriptions/:id/extend-trial', validateTrialExtension, extendSubscriptionTrial);
+router.post('/subscriptions/:id/credit', validateCredit, creditSubscription);
+router.get('/grants', getGrants);
+
+// Stripe reconciliation
+router.post('/reconciliation', runReconciliation);
+
+module.exports = router;
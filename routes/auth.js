@@ -2,13 +2,30 @@ const express = require('express');
 const {
   register,
   login,
+  loginTwoFactor,
+  requestLoginOTP,
+  verifyLoginOTP,
+  setLoginOTPSecondFactor,
   verifyOTP,
+  unlockAccount,
+  refreshToken,
   logout,
   getMe,
+  exportMyData,
+  deleteMe,
+  restoreMe,
   forgotPassword,
   resetPassword,
   resendOTP,
-  changePassword
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  getSessions,
+  revokeSession,
+  revokeAllOtherSessions,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor
 } = require('../controllers/authController');
 
 const {
@@ -17,25 +34,46 @@ const {
   validateOTP,
   validateForgotPassword,
   validateResetPassword,
-  validateResendOTP
+  validateResendOTP,
+  validateLoginOTPRequest,
+  validateLoginOTPVerify,
+  validateChangeEmail
 } = require('../middleware/validation');
 
-const { protect } = require('../middleware/auth');
-const { authLimiter, otpLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { authLimiter, refreshLimiter, otpLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', authLimiter, validateRegister, register);
 router.post('/login', authLimiter, validateLogin, login);
+router.post('/login/2fa', authLimiter, loginTwoFactor);
+router.post('/login/otp/request', otpLimiter, validateLoginOTPRequest, requestLoginOTP);
+router.post('/login/otp/verify', otpLimiter, validateLoginOTPVerify, verifyLoginOTP);
 router.post('/verify-otp', otpLimiter, validateOTP, verifyOTP);
 router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, forgotPassword);
 router.post('/reset-password', passwordResetLimiter, validateResetPassword, resetPassword);
 router.post('/resend-otp', otpLimiter, validateResendOTP, resendOTP);
+router.post('/unlock', authLimiter, unlockAccount);
+router.post('/refresh', refreshLimiter, refreshToken);
+// Also works once the access token expired: the session is then found from the refresh token
+router.post('/logout', optionalAuth, logout);
 
 // Protected routes
-router.post('/logout', protect, logout);
 router.get('/me', protect, getMe);
+router.delete('/me', protect, deleteMe);
+router.get('/me/export', protect, exportMyData);
+router.post('/me/restore', protect, restoreMe);
 router.post('/change-password', protect, changePassword);
+router.post('/change-email', protect, otpLimiter, validateChangeEmail, requestEmailChange);
+router.post('/change-email/confirm', protect, otpLimiter, confirmEmailChange);
+router.get('/sessions', protect, getSessions);
+router.post('/sessions/revoke-others', protect, revokeAllOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+router.put('/login/otp/second-factor', protect, setLoginOTPSecondFactor);
+router.post('/2fa/enroll', protect, enrollTwoFactor);
+router.post('/2fa/confirm', protect, confirmTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
 
 module.exports = router;
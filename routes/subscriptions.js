@@ -4,6 +4,7 @@ const {
   createCheckoutSession,
   getCurrentSubscription,
   cancelSubscription,
+  cancelSubscriptionFromLink,
   reactivateSubscription,
   getSubscriptionHistory,
   getPaymentHistory,
@@ -18,6 +19,7 @@ const router = express.Router();
 // Public routes
 router.get('/plans', getSubscriptionPlans);
 router.get('/success', handleCheckoutSuccess);
+router.post('/cancel-link', subscriptionLimiter, cancelSubscriptionFromLink);
 
 // Protected routes
 router.use(protect); // All routes below require authentication
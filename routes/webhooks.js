@@ -1,5 +1,5 @@
 const express = require('express');
-const { handleStripeWebhook } = require('../controllers/webhookController');
+const { handleStripeWebhook, handleStripeConnectWebhook } = require('../controllers/webhookController');
 
 const router = express.Router();
 
@@ -8,4 +8,7 @@ const router = express.Router();
 // to preserve raw body for signature verification
 router.post('/stripe', express.raw({ type: 'application/json' }), handleStripeWebhook);
 
+// Stripe Connect webhook endpoint (events from connected accounts, own signing secrets)
+router.post('/stripe/connect', express.raw({ type: 'application/json' }), handleStripeConnectWebhook);
+
 module.exports = router;
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+// Fails when a route in routes/*.js has no entry in config/openapi.js, a router file isn't
+// mounted in server.js, or the spec documents a route that no longer exists.
+// Usage: npm run docs:check (also run by tests/openapi.test.js)
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_docs_check';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'docs-check';
+
+const ROOT = path.join(__dirname, '..');
+const ROUTES_DIR = path.join(ROOT, 'routes');
+const spec = require('../config/openapi');
+
+// "/api/auth" + "/sessions/:id" -> "/auth/sessions/{id}" (spec paths are relative to /api)
+const toSpecPath = (mountPath, routePath) =>
+  `${mountPath}${routePath === '/' ? '' : routePath}`
+    .replace(/^\/api/, '')
+    .replace(/:(\w+)/g, '{$1}');
+
+// Mount path of each router file, from the app.use calls in server.js
+const readMountPaths = () => {
+  const server = fs.readFileSync(path.join(ROOT, 'server.js'), 'utf8');
+  const mountPattern = /app\.use\(\s*'([^']+)'\s*,\s*require\('\.\/routes\/([\w-]+)'\)/g;
+  const mountPaths = {};
+  let match;
+
+  while ((match = mountPattern.exec(server))) {
+    const [, mountPath, file] = match;
+    mountPaths[file] = mountPath;
+  }
+
+  return mountPaths;
+};
+
+// Collect every method + path registered on the routers in routes/*.js
+const collectRoutes = () => {
+  const mountPaths = readMountPaths();
+  const files = fs.readdirSync(ROUTES_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.basename(file, '.js'));
+  const routes = [];
+  const unmounted = [];
+
+  for (const file of files) {
+    const mountPath = mountPaths[file];
+    if (!mountPath) {
+      unmounted.push(`routes/${file}.js`);
+      continue;
+    }
+
+    const router = require(path.join(ROUTES_DIR, file));
+
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({
+          method,
+          path: toSpecPath(mountPath, layer.route.path),
+          source: `routes/${file}.js`
+        });
+      }
+    }
+  }
+
+  return { routes, unmounted };
+};
+
+const checkOpenApi = () => {
+  const { routes, unmounted } = collectRoutes();
+  const problems = unmounted.map(source => `Router not mounted in server.js: ${source}`);
+
+  for (const route of routes) {
+    if (!spec.paths[route.path] || !spec.paths[route.path][route.method]) {
+      problems.push(`Missing from spec: ${route.method.toUpperCase()} ${route.path} (${route.source})`);
+    }
+  }
+
+  const registered = new Set(routes.map(route => `${route.method} ${route.path}`));
+  for (const [specPath, operations] of Object.entries(spec.paths)) {
+    for (const method of Object.keys(operations)) {
+      if (!registered.has(`${method} ${specPath}`)) {
+        problems.push(`Documented but not registered: ${method.toUpperCase()} ${specPath}`);
+      }
+    }
+  }
+
+  return { routes, problems };
+};
+
+if (require.main === module) {
+  const { routes, problems } = checkOpenApi();
+
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`❌ ${problem}`));
+    process.exit(1);
+  }
+
+  console.log(`✅ OpenAPI spec covers all ${routes.length} routes`);
+  process.exit(0);
+}
+
+module.exports = checkOpenApi;
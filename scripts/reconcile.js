@@ -0,0 +1,64 @@
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { stripe } = require('../config/stripe');
+const { reconcileStripeData } = require('../services/reconciliationService');
+const { createFixtureStripeClient, createRecordingStripeClient } = require('../utils/stripeFixtureClient');
+
+// Compare Stripe with the database and print the discrepancy report.
+// Usage: npm run reconcile -- [--repair] [--customer cus_123] [--fixture file.json] [--record file.json]
+//   --fixture  read Stripe state from a recorded fixture instead of the API
+//   --record   save the Stripe objects fetched during the run as a fixture
+
+const getArg = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+};
+
+const reconcile = async (args = process.argv.slice(2)) => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const fixturePath = getArg(args, '--fixture');
+    const recordPath = getArg(args, '--record');
+    const customerId = getArg(args, '--customer');
+
+    let stripeClient = fixturePath ? createFixtureStripeClient(fixturePath) : stripe;
+    let recording = null;
+    if (recordPath) {
+      recording = createRecordingStripeClient(stripeClient);
+      stripeClient = recording.client;
+    }
+
+    const report = await reconcileStripeData({
+      stripeClient,
+      repair: args.includes('--repair'),
+      customerIds: customerId ? [customerId] : undefined
+    });
+
+    console.log(JSON.stringify(report, null, 2));
+
+    if (recording) {
+      fs.writeFileSync(recordPath, JSON.stringify(recording.fixture, null, 2));
+      console.log(`📼 Recorded Stripe fixture to ${recordPath}`);
+    }
+
+    await mongoose.disconnect();
+    // Non-zero exit when unrepaired discrepancies remain, so CI/cron can alert on it
+    process.exit(report.discrepancyCount > report.repairedCount || report.errors.length > 0 ? 2 : 0);
+  } catch (error) {
+    console.error('Reconciliation failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run reconciliation if called directly
+if (require.main === module) {
+  reconcile();
+}
+
+module.exports = reconcile;
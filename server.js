@@ -3,17 +3,64 @@ require('dotenv').config();
 const cors = require('cors');
 const helmet = require('helmet');
 const cookieParser = require('cookie-parser');
+const swaggerUi = require('swagger-ui-express');
 const connectDB = require('./config/database');
 const { errorHandler } = require('./utils/errorHandler');
 const { generalLimiter } = require('./middleware/rateLimiter');
+const { scheduleJob, stopAllJobs } = require('./services/scheduler');
+const { processScheduledDeletions } = require('./services/accountService');
+const { processDueWebhookEvents } = require('./services/webhookWorker');
+const { dispatchStripeEvent } = require('./controllers/webhookController');
+const { reconcileStripeData } = require('./services/reconciliationService');
+const { processDueDeliveries } = require('./services/outboundWebhookService');
+const { processUnscheduledTrials } = require('./services/subscriptionScheduleService');
+const { processTrialReminders } = require('./services/trialReminderService');
+const openApiSpec = require('./config/openapi');
 
 
 
 // Connect to database
 connectDB();
 
+// Background jobs (set DISABLE_SCHEDULED_JOBS=true on instances that should not run them)
+if (process.env.DISABLE_SCHEDULED_JOBS !== 'true') {
+  scheduleJob('account-deletions', 60 * 60 * 1000, processScheduledDeletions);
+  scheduleJob(
+    'webhook-events',
+    Number(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 10 * 1000,
+    () => processDueWebhookEvents(dispatchStripeEvent)
+  );
+  scheduleJob(
+    'outbound-webhooks',
+    Number(process.env.OUTBOUND_WEBHOOK_INTERVAL_MS) || 10 * 1000,
+    processDueDeliveries
+  );
+  scheduleJob(
+    'stripe-reconciliation',
+    (Number(process.env.RECONCILIATION_INTERVAL_MINUTES) || 6 * 60) * 60 * 1000,
+    () => reconcileStripeData({ repair: process.env.RECONCILIATION_AUTO_REPAIR === 'true' })
+  );
+  scheduleJob(
+    'trial-schedules',
+    (Number(process.env.TRIAL_SCHEDULE_INTERVAL_MINUTES) || 15) * 60 * 1000,
+    processUnscheduledTrials
+  );
+  scheduleJob(
+    'trial-reminders',
+    (Number(process.env.TRIAL_REMINDER_INTERVAL_MINUTES) || 15) * 60 * 1000,
+    processTrialReminders
+  );
+}
+
 const app = express();
 
+// Behind a load balancer or reverse proxy, req.ip is the proxy's address unless Express trusts it.
+// TRUST_PROXY is the number of proxy hops (e.g. 1), "true", or a list of trusted addresses/subnets.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -41,6 +88,13 @@ app.use(express.static('public'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/subscriptions', require('./routes/subscriptions'));
 app.use('/api/trial', require('./routes/trial'));
+app.use('/api/admin', require('./routes/admin'));
+
+// API documentation (OpenAPI JSON + rendered UI)
+app.get('/api/docs/openapi.json', (req, res) => {
+  res.status(200).json(openApiSpec);
+});
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -99,6 +153,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully');
+  stopAllJobs();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -0,0 +1,322 @@
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const Payment = require('../models/Payment');
+const OTP = require('../models/OTP');
+const Session = require('../models/Session');
+const TrialClaim = require('../models/TrialClaim');
+const Grant = require('../models/Grant');
+const WebhookEvent = require('../models/WebhookEvent');
+const { stripe } = require('../config/stripe');
+const { releaseSubscriptionSchedule } = require('./subscriptionScheduleService');
+
+// Days between a deletion request and the hard delete (0 = delete immediately)
+const getDeletionGraceDays = () => Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 0;
+
+// A purge claim older than this is treated as abandoned (e.g. the process crashed mid-purge)
+const STALE_DELETION_CLAIM_MS = 30 * 60 * 1000;
+
+// Failed purges are retried after 1h, 2h, 4h... up to a day
+const DELETION_RETRY_BASE_MS = 60 * 60 * 1000;
+const DELETION_RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+
+// Stripe "No such ..." errors mean the object is already gone
+const isMissingResource = (error) => error && error.code === 'resource_missing';
+
+/**
+ * Build a JSON export of everything stored about a user
+ * @param {Object} user - User object
+ * @returns {Object} - Export document
+ */
+const buildUserExport = async (user) => {
+  const emails = [user.email, user.pendingEmail].filter(Boolean);
+
+  const [subscriptions, payments, otps, sessions, trialClaims, grants] = await Promise.all([
+    Subscription.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+    Payment.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+    OTP.find({ email: { $in: emails } }).sort({ createdAt: -1 }).lean(),
+    Session.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+    TrialClaim.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+    Grant.find({ user: user._id }).sort({ createdAt: -1 }).lean()
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      pendingEmail: user.pendingEmail,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      hasEverSubscribed: user.hasEverSubscribed,
+      stripeCustomerId: user.stripeCustomerId,
+      twoFactorEnabled: user.twoFactorEnabled,
+      emailOtpSecondFactor: user.emailOtpSecondFactor,
+      lastLogin: user.lastLogin,
+      signupIp: user.signupIp,
+      cardFingerprints: user.cardFingerprints,
+      knownDevices: (user.knownDevices || []).map(device => ({
+        ipAddress: device.ipAddress,
+        userAgent: device.userAgent,
+        firstSeenAt: device.firstSeenAt,
+        lastSeenAt: device.lastSeenAt
+      })),
+      deletionScheduledFor: user.deletionScheduledFor,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    subscriptions,
+    // Card details on payments are already limited to brand / last4 / expiry / fingerprint
+    payments,
+    // OTP codes are stored hashed and are not part of the export
+    otps: otps.map(otp => ({
+      email: otp.email,
+      type: otp.type,
+      isUsed: otp.isUsed,
+      attempts: otp.attempts,
+      ipAddress: otp.ipAddress,
+      userAgent: otp.userAgent,
+      expiresAt: otp.expiresAt,
+      createdAt: otp.createdAt
+    })),
+    sessions: sessions.map(session => ({
+      id: session._id,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      revokedAt: session.revokedAt
+    })),
+    // Kept after account deletion to prevent repeat trials; the signals are stored hashed
+    trialClaims,
+    // Trial extensions and credits (the granting admin is left out)
+    grants: grants.map(({ grantedBy, ...grant }) => grant)
+  };
+};
+
+/**
+ * Empty the stored Stripe events about a user: their payloads hold full customer, invoice
+ * and charge objects. The records stay so redeliveries are still recognized.
+ * @param {Object} user - User object
+ */
+const redactWebhookEvents = async (user) => {
+  const [subscriptions, payments] = await Promise.all([
+    Subscription.find({ user: user._id }).select('stripeSubscriptionId').lean(),
+    Payment.find({ user: user._id }).select('stripePaymentIntentId stripeInvoiceId dispute.stripeDisputeId').lean()
+  ]);
+
+  // Refund and dispute objects don't name the customer, so events are also matched by object
+  const objectIds = [
+    ...subscriptions.map(subscription => subscription.stripeSubscriptionId),
+    ...payments.flatMap(payment => [
+      payment.stripePaymentIntentId,
+      payment.stripeInvoiceId,
+      payment.dispute?.stripeDisputeId
+    ])
+  ].filter(Boolean);
+
+  const conditions = [{ objectId: { $in: objectIds } }];
+  if (user.stripeCustomerId) {
+    conditions.push({ customerId: user.stripeCustomerId });
+  }
+
+  await WebhookEvent.updateMany(
+    { $or: conditions, redactedAt: null },
+    { $set: { payload: {}, redactedAt: new Date() } }
+  );
+};
+
+/**
+ * Permanently delete a user
+ * Cancels Stripe billing, deletes the Stripe customer, anonymizes payments
+ * (kept for accounting), empties stored Stripe events and removes everything else
+ * tied to the account. Trial claims (hashed signals only) and grants (ids and amounts,
+ * kept for accounting) stay.
+ * @param {Object} user - User object
+ */
+const purgeUser = async (user) => {
+  console.log(`🗑️ Purging account ${user._id}`);
+
+  const subscriptions = await Subscription.find({
+    user: user._id,
+    status: { $nin: ['canceled', 'incomplete_expired'] }
+  });
+
+  for (const subscription of subscriptions) {
+    try {
+      await stripe.subscriptions.cancel(subscription.stripeSubscriptionId);
+    } catch (error) {
+      if (!isMissingResource(error)) throw error;
+    }
+
+    subscription.status = 'canceled';
+    subscription.canceledAt = new Date();
+    await subscription.save();
+  }
+
+  if (user.stripeCustomerId) {
+    try {
+      await stripe.customers.del(user.stripeCustomerId);
+    } catch (error) {
+      if (!isMissingResource(error)) throw error;
+    }
+  }
+
+  // Payments stay for accounting, without anything that points back to the person
+  await Payment.updateMany(
+    { user: user._id },
+    {
+      $set: {
+        paymentMethod: null,
+        receiptUrl: null,
+        'cardDetails.expMonth': null,
+        'cardDetails.expYear': null,
+        'cardDetails.fingerprint': null,
+        metadata: {},
+        anonymizedAt: new Date()
+      }
+    }
+  );
+
+  await Subscription.updateMany({ user: user._id }, { $set: { metadata: {} } });
+  await redactWebhookEvents(user);
+
+  const emails = [user.email, user.pendingEmail].filter(Boolean);
+  await OTP.deleteMany({ email: { $in: emails } });
+  await Session.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+
+  console.log(`✅ Account ${user._id} purged`);
+};
+
+/**
+ * Handle a user's request to delete their account
+ * With a grace period the account is only scheduled for deletion: all sessions are
+ * revoked and billing stops at period end, and the user can restore it until then.
+ * @param {Object} user - User object
+ * @returns {Object} - { deleted, scheduledFor }
+ */
+const requestAccountDeletion = async (user) => {
+  const graceDays = getDeletionGraceDays();
+
+  if (graceDays <= 0) {
+    await purgeUser(user);
+    return { deleted: true, scheduledFor: null };
+  }
+
+  const subscriptions = await Subscription.find({
+    user: user._id,
+    status: { $in: ['active', 'trialing', 'past_due'] },
+    cancelAtPeriodEnd: false
+  });
+
+  for (const subscription of subscriptions) {
+    await releaseSubscriptionSchedule(subscription);
+    await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+      cancel_at_period_end: true
+    });
+
+    subscription.cancelAtPeriodEnd = true;
+    subscription.canceledAt = new Date();
+    await subscription.save();
+  }
+
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'account_deletion');
+
+  console.log(`🗓️ Account ${user._id} scheduled for deletion on ${user.deletionScheduledFor.toISOString()}`);
+
+  return { deleted: false, scheduledFor: user.deletionScheduledFor };
+};
+
+/**
+ * Cancel a scheduled deletion
+ * Subscriptions are not resumed automatically; the user can reactivate them.
+ * @param {Object} user - User object
+ */
+const cancelAccountDeletion = async (user) => {
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  user.deletionAttempts = 0;
+  user.deletionNextAttemptAt = null;
+  user.deletionLastError = null;
+  await user.save();
+};
+
+// Accounts past their grace period that aren't being purged and aren't waiting for a retry
+const dueDeletionFilter = () => {
+  const now = new Date();
+
+  return {
+    deletionScheduledFor: { $lte: now },
+    $and: [
+      {
+        $or: [
+          { deletionClaimedAt: null },
+          { deletionClaimedAt: { $lt: new Date(now.getTime() - STALE_DELETION_CLAIM_MS) } }
+        ]
+      },
+      {
+        $or: [
+          { deletionNextAttemptAt: null },
+          { deletionNextAttemptAt: { $lte: now } }
+        ]
+      }
+    ]
+  };
+};
+
+/**
+ * Hard delete every account whose grace period is over, oldest first
+ * Safe to run on several instances: each account is claimed before purging.
+ * A failed purge is retried later with exponential backoff and doesn't stop the run.
+ */
+const processScheduledDeletions = async () => {
+  let processed = 0;
+  let user;
+
+  const claimNext = () => User.findOneAndUpdate(
+    dueDeletionFilter(),
+    { $set: { deletionClaimedAt: new Date() }, $inc: { deletionAttempts: 1 } },
+    { new: true, sort: { deletionScheduledFor: 1 } }
+  );
+
+  while ((user = await claimNext())) {
+    try {
+      await purgeUser(user);
+      processed += 1;
+    } catch (error) {
+      const delay = Math.min(DELETION_RETRY_BASE_MS * 2 ** (user.deletionAttempts - 1), DELETION_RETRY_MAX_MS);
+      const nextAttemptAt = new Date(Date.now() + delay);
+
+      console.error(`❌ Failed to purge account ${user._id} (attempt ${user.deletionAttempts}), retrying at ${nextAttemptAt.toISOString()}:`, error);
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            deletionClaimedAt: null,
+            deletionNextAttemptAt: nextAttemptAt,
+            deletionLastError: error.message
+          }
+        }
+      );
+    }
+  }
+
+  if (processed > 0) {
+    console.log(`🗑️ Purged ${processed} account(s) past their deletion grace period`);
+  }
+
+  return processed;
+};
+
+module.exports = {
+  buildUserExport,
+  purgeUser,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  processScheduledDeletions
+};
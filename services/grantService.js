@@ -0,0 +1,126 @@
+const Grant = require('../models/Grant');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { stripe } = require('../config/stripe');
+const { extendScheduledTrial } = require('./subscriptionScheduleService');
+const { emitEvent, serializeSubscription } = require('./outboundWebhookService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getUserId = (value) => value?._id || value;
+
+/**
+ * Price of one week of the recurring plan, used to turn free weeks into a credit
+ * @returns {number|null} - Amount in cents, or null when the recurring plan isn't billed in weeks or days
+ */
+const getWeeklyAmount = async () => {
+  const recurringPlan = await SubscriptionPlan.getRecurringPlan();
+  if (!recurringPlan) return null;
+
+  const count = recurringPlan.intervalCount || 1;
+  switch (recurringPlan.interval) {
+    case 'week':
+      return Math.round(recurringPlan.amount / count);
+    case 'day':
+      return Math.round(recurringPlan.amount * 7 / count);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Push back the end of a trial through Stripe and record the grant
+ * A subscription on the initial→recurring schedule has its schedule moved, so the
+ * recurring price still starts one paid period after the new trial end.
+ * @param {Object} subscription - Trialing Subscription document
+ * @param {Object} grant - { days, reason, admin }
+ * @returns {Object} - Grant document
+ */
+const extendTrial = async (subscription, { days, reason, admin }) => {
+  const previousTrialEnd = subscription.trialEnd;
+  const newTrialEnd = new Date(previousTrialEnd.getTime() + days * DAY_MS);
+
+  const schedule = await extendScheduledTrial(subscription, newTrialEnd);
+  if (!schedule) {
+    const trialEnd = Math.floor(newTrialEnd.getTime() / 1000);
+    await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+      trial_end: trialEnd,
+      proration_behavior: 'none'
+    }, {
+      idempotencyKey: `trial-extension-${subscription.stripeSubscriptionId}-${trialEnd}`
+    });
+  }
+
+  subscription.trialEnd = newTrialEnd;
+  subscription.currentPeriodEnd = newTrialEnd;
+  // Reminders count down to the new trial end
+  subscription.trialReminders = [];
+  await subscription.save();
+
+  const grant = await Grant.create({
+    user: getUserId(subscription.user),
+    subscription: subscription._id,
+    type: 'trial_extension',
+    grantedBy: admin._id,
+    reason,
+    days,
+    previousTrialEnd,
+    newTrialEnd
+  });
+
+  console.log(`🎁 Admin ${admin.email} extended the trial of subscription ${subscription._id} by ${days} day(s) to ${newTrialEnd.toISOString()} (${reason})`);
+
+  await emitEvent('subscription.updated', serializeSubscription(subscription));
+
+  return grant;
+};
+
+/**
+ * Credit the subscription's Stripe customer balance (used on the next invoices) and record the grant
+ * @param {Object} subscription - Subscription document
+ * @param {Object} grant - { amount, weeks, reason, admin, idempotencyKey }
+ * @returns {Object} - Grant document
+ */
+const grantCredit = async (subscription, { amount, weeks = null, reason, admin, idempotencyKey }) => {
+  // The same request against the same credit state maps to the same balance transaction
+  const key = idempotencyKey || `credit-${subscription._id}-${subscription.creditGranted}-${amount}`;
+
+  const transaction = await stripe.customers.createBalanceTransaction(subscription.stripeCustomerId, {
+    amount: -amount, // negative amounts are credit
+    currency: subscription.currency,
+    description: weeks ? `${weeks} free week(s): ${reason}` : `Credit: ${reason}`,
+    metadata: {
+      subscriptionId: String(subscription._id),
+      grantedBy: String(admin._id),
+      reason
+    }
+  }, { idempotencyKey: key });
+
+  // A replayed Idempotency-Key returns the transaction already recorded
+  const recorded = await Grant.findOne({ stripeBalanceTransactionId: transaction.id });
+  if (recorded) return recorded;
+
+  subscription.creditGranted = (subscription.creditGranted || 0) + amount;
+  await subscription.save();
+
+  const grant = await Grant.create({
+    user: getUserId(subscription.user),
+    subscription: subscription._id,
+    type: 'credit',
+    grantedBy: admin._id,
+    reason,
+    weeks,
+    amount,
+    currency: transaction.currency,
+    stripeBalanceTransactionId: transaction.id
+  });
+
+  console.log(`🎁 Admin ${admin.email} credited ${amount} ${transaction.currency} to subscription ${subscription._id} (${reason}): ${transaction.id}`);
+
+  return grant;
+};
+
+module.exports = {
+  getWeeklyAmount,
+  extendTrial,
+  grantCredit
+};
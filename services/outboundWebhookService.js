@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const WebhookSubscriber = require('../models/WebhookSubscriber');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { isDryRun } = require('../utils/dryRun');
+
+// Retry policy for outbound deliveries
+const getRetryPolicy = () => ({
+  maxAttempts: Number(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 8,
+  baseDelayMs: (Number(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000,
+  maxDelayMs: (Number(process.env.OUTBOUND_WEBHOOK_RETRY_MAX_SECONDS) || 6 * 60 * 60) * 1000
+});
+
+const getTimeoutMs = () => Number(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// Stripe event whose handlers are emitting events, if any
+const sourceEventStorage = new AsyncLocalStorage();
+
+/**
+ * Run a Stripe event's handlers so the events they emit get ids derived from the Stripe event
+ * Retries, Stripe redeliveries and admin replays of the event then emit the same ids,
+ * and deliveries already queued for them aren't queued again.
+ * @param {string} stripeEventId - Stripe event ID
+ * @param {Function} fn - Async function to run
+ */
+const withSourceEvent = (stripeEventId, fn) => sourceEventStorage.run({ stripeEventId }, fn);
+
+// Event id: derived from the source Stripe event, type and subject when there is a source event
+const getEventId = (type, data) => {
+  const stripeEventId = sourceEventStorage.getStore()?.stripeEventId;
+  if (!stripeEventId) {
+    return `evt_${crypto.randomUUID().replace(/-/g, '')}`;
+  }
+
+  const hash = crypto.createHash('sha256').update(`${stripeEventId}:${type}:${data?.id || ''}`).digest('hex');
+  return `evt_${hash.slice(0, 32)}`;
+};
+
+/**
+ * Sign a delivery body the way subscribers verify it:
+ * X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the subscriber secret>
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Subscriber secret
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} - Signature header value
+ */
+const signPayload = (body, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Subscription fields sent with subscription, trial and access events
+const serializeSubscription = (subscription) => ({
+  id: String(subscription._id),
+  userId: String(subscription.user?._id || subscription.user),
+  stripeSubscriptionId: subscription.stripeSubscriptionId,
+  status: subscription.status,
+  subscriptionType: subscription.subscriptionType,
+  isActive: Boolean(subscription.isActive),
+  accessSuspended: Boolean(subscription.accessSuspended),
+  cancelAtPeriodEnd: Boolean(subscription.cancelAtPeriodEnd),
+  currentPeriodEnd: subscription.currentPeriodEnd,
+  trialEnd: subscription.trialEnd
+});
+
+// Payment fields sent with payment events
+const serializePayment = (payment) => ({
+  id: String(payment._id),
+  userId: String(payment.user?._id || payment.user),
+  subscriptionId: String(payment.subscription?._id || payment.subscription),
+  stripePaymentIntentId: payment.stripePaymentIntentId,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  refundAmount: payment.refundAmount,
+  refunded: Boolean(payment.refunded),
+  failureReason: payment.failureReason
+});
+
+/**
+ * Send one claimed delivery and record the outcome
+ * @param {Object} delivery - Claimed WebhookDelivery document
+ */
+const runClaimedDelivery = async (delivery) => {
+  const subscriber = await WebhookSubscriber.findById(delivery.subscriber).select('+secret');
+
+  if (!subscriber || !subscriber.isActive) {
+    // Nothing to send to any more; retrying won't help
+    delivery.status = 'dead_letter';
+    delivery.nextAttemptAt = null;
+    delivery.lastError = 'Subscriber removed or disabled';
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  let responseStatus = null;
+
+  try {
+    const response = await fetch(subscriber.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'stripe-subscription-backend-webhooks',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Signature': signPayload(body, subscriber.secret)
+      },
+      body,
+      signal: AbortSignal.timeout(getTimeoutMs())
+    });
+    responseStatus = response.status;
+
+    if (!response.ok) {
+      throw new Error(`Subscriber responded with HTTP ${response.status}`);
+    }
+
+    await delivery.markSucceeded(responseStatus);
+    console.log(`📤 Delivered ${delivery.eventType} (${delivery.eventId}) to ${subscriber.url}`);
+  } catch (error) {
+    await delivery.markFailed(error, responseStatus, getRetryPolicy());
+
+    if (delivery.status === 'dead_letter') {
+      console.error(`☠️ Delivery of ${delivery.eventType} to ${subscriber.url} dead-lettered after ${delivery.attempts} attempts: ${error.message}`);
+    } else {
+      console.error(`❌ Delivery of ${delivery.eventType} to ${subscriber.url} failed (attempt ${delivery.attempts}), retrying at ${delivery.nextAttemptAt.toISOString()}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Send one delivery right away if it is due
+ * @param {string} id - WebhookDelivery ID
+ */
+const processDelivery = async (id) => {
+  const delivery = await WebhookDelivery.claim(id);
+  if (!delivery) return;
+
+  await runClaimedDelivery(delivery);
+};
+
+/**
+ * Send every delivery that is due, oldest first
+ * Safe to run on several instances: each delivery is claimed before it is sent.
+ * @returns {number} - Number of deliveries attempted
+ */
+const processDueDeliveries = async () => {
+  let processed = 0;
+  let delivery;
+
+  while ((delivery = await WebhookDelivery.claimNext())) {
+    await runClaimedDelivery(delivery);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+/**
+ * Queue an event for every subscriber of its type and start sending it
+ * Inside withSourceEvent, an event already queued for a subscriber isn't queued again.
+ * Never throws: a failure to queue is logged so it can't break the action that emitted it.
+ * @param {string} type - Event type (see WebhookSubscriber.EVENT_TYPES)
+ * @param {Object} data - Event data
+ * @returns {Array} - Newly queued deliveries
+ */
+const emitEvent = async (type, data) => {
+  try {
+    const subscribers = await WebhookSubscriber.findForEvent(type);
+    if (subscribers.length === 0) return [];
+
+    const eventId = getEventId(type, data);
+    const payload = { id: eventId, type, createdAt: new Date().toISOString(), data };
+
+    const deliveries = [];
+    for (const subscriber of subscribers) {
+      try {
+        deliveries.push(await WebhookDelivery.create({
+          subscriber: subscriber._id,
+          eventId,
+          eventType: type,
+          payload
+        }));
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Queued by an earlier run of the same Stripe event
+        console.log(`ℹ️ ${type} (${eventId}) already queued for subscriber ${subscriber._id}, skipping`);
+      }
+    }
+
+    // Dry runs only report the deliveries; real ones go out now, failures are retried by the worker
+    if (!isDryRun()) {
+      for (const delivery of deliveries) {
+        processDelivery(delivery._id).catch((error) => {
+          console.error(`❌ Failed to start delivery ${delivery._id}:`, error);
+        });
+      }
+    }
+
+    return deliveries;
+  } catch (error) {
+    console.error(`❌ Failed to queue outbound ${type} event:`, error);
+    return [];
+  }
+};
+
+module.exports = {
+  signPayload,
+  serializeSubscription,
+  serializePayment,
+  withSourceEvent,
+  emitEvent,
+  processDelivery,
+  processDueDeliveries
+};
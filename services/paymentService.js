@@ -0,0 +1,158 @@
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { toDateFromUnix } = require('./subscriptionSyncService');
+const { emitEvent, serializePayment } = require('./outboundWebhookService');
+const { sendRefundEmail, sendRefundFailedEmail } = require('../utils/email');
+
+/**
+ * Create or complete the Payment for a payment intent in one atomic upsert
+ * invoice.payment_succeeded and payment_intent.succeeded both write through here, so
+ * whichever arrives first (on any instance) creates the record and the other fills it in.
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {Object} fields - Fields this event knows for certain (always written)
+ * @param {Object} defaults - Fields only written when the record is created
+ * @param {Object} options - { keepStatuses: statuses an existing record must not be moved out of }
+ * @returns {Object|null} - Payment document, or null when the record has one of keepStatuses
+ */
+const upsertPaymentForIntent = async (paymentIntentId, fields, defaults = {}, { keepStatuses = [] } = {}) => {
+  const setOnInsert = Object.fromEntries(
+    Object.entries(defaults).filter(([key]) => !(key in fields))
+  );
+
+  const filter = { stripePaymentIntentId: paymentIntentId };
+  if (keepStatuses.length > 0) {
+    filter.status = { $nin: keepStatuses };
+  }
+
+  const upsert = () => Payment.findOneAndUpdate(
+    filter,
+    { $set: fields, $setOnInsert: setOnInsert },
+    { upsert: true, new: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // The record exists but did not match the filter: it has a status that is kept
+    if (keepStatuses.length > 0) {
+      const existing = await Payment.findOne({ stripePaymentIntentId: paymentIntentId });
+      if (existing && keepStatuses.includes(existing.status)) return null;
+    }
+
+    // Both events upserted at the same moment; the record exists now, so this is an update
+    return upsert();
+  }
+};
+
+// Payment fields derived from a subscription invoice
+const buildInvoicePaymentFields = (invoice, subscription) => {
+  let paymentType = 'recurring_payment';
+  if (invoice.billing_reason === 'subscription_create') {
+    paymentType = subscription.subscriptionType === 'initial'
+      ? 'initial_payment'
+      : 'recurring_payment';
+  } else if (invoice.billing_reason === 'subscription_update') {
+    paymentType = 'upgrade_payment';
+  }
+
+  return {
+    user: subscription.user,
+    subscription: subscription._id,
+    stripeInvoiceId: invoice.id,
+    amount: invoice.amount_paid || 0,
+    currency: invoice.currency || 'eur',
+    paymentType,
+    description: `Payment for ${subscription.subscriptionType} subscription`,
+    metadata: invoice.metadata || {}
+  };
+};
+
+// Refund entry stored on a Payment, from a Stripe refund
+const toRefundEntry = (refund) => ({
+  stripeRefundId: refund.id,
+  amount: refund.amount,
+  status: refund.status,
+  reason: refund.reason || null,
+  failureReason: refund.failure_reason || null,
+  // Set by refunds issued through the admin API
+  refundedBy: refund.metadata?.refundedBy || null,
+  note: refund.metadata?.note || null,
+  createdAt: toDateFromUnix(refund.created)
+});
+
+// Tell the user (and outbound webhook subscribers) about refunds that were issued or failed
+// since the previous state
+const notifyRefundChanges = async (payment, previous) => {
+  const refundedNow = payment.refundAmount - previous.refundAmount;
+  const newlyFailed = payment.refunds.filter(refund => refund.status === 'failed' && !previous.refunds.some(
+    old => old.stripeRefundId === refund.stripeRefundId && old.status === 'failed'
+  ));
+
+  if (refundedNow <= 0 && newlyFailed.length === 0) return;
+
+  if (refundedNow > 0) {
+    await emitEvent('payment.refunded', { ...serializePayment(payment), amountRefunded: refundedNow });
+  }
+
+  const user = await User.findById(payment.user);
+  if (!user) return;
+
+  try {
+    if (refundedNow > 0) {
+      await sendRefundEmail(user.email, user.name, {
+        amount: refundedNow,
+        currency: payment.currency,
+        fullRefund: payment.refunded
+      });
+    }
+
+    for (const refund of newlyFailed) {
+      await sendRefundFailedEmail(user.email, user.name, { amount: refund.amount, currency: payment.currency });
+    }
+  } catch (error) {
+    console.error('⚠️ Failed to send refund email:', error);
+  }
+};
+
+/**
+ * Record a refund just created through the API on its Payment
+ * The charge.refunded webhook later re-syncs every refund from Stripe; whichever runs
+ * first adds the refund, so it is only counted once.
+ * @param {Object} payment - Payment document
+ * @param {Object} refund - Stripe refund
+ * @returns {Object} - Updated Payment document
+ */
+const recordRefund = async (payment, refund) => {
+  const previous = {
+    refundAmount: payment.refundAmount,
+    refunds: payment.refunds.map(entry => entry.toObject())
+  };
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'refunds.stripeRefundId': { $ne: refund.id } },
+    { $push: { refunds: toRefundEntry(refund) }, $inc: { refundAmount: refund.amount } },
+    { new: true }
+  );
+
+  if (!updated) {
+    return Payment.findById(payment._id);
+  }
+
+  if (updated.refundAmount >= updated.amount && !updated.refunded) {
+    updated.refunded = true;
+    await updated.save();
+  }
+
+  await notifyRefundChanges(updated, previous);
+  return updated;
+};
+
+module.exports = {
+  upsertPaymentForIntent,
+  buildInvoicePaymentFields,
+  toRefundEntry,
+  notifyRefundChanges,
+  recordRefund
+};
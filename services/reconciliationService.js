@@ -0,0 +1,207 @@
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const Payment = require('../models/Payment');
+const { stripe } = require('../config/stripe');
+const { toDateFromUnix, syncSubscriptionFromStripe } = require('./subscriptionSyncService');
+const { upsertPaymentForIntent, buildInvoicePaymentFields } = require('./paymentService');
+
+// Subscription fields compared against Stripe
+const SUBSCRIPTION_FIELDS = ['status', 'currentPeriodStart', 'currentPeriodEnd', 'stripePriceId', 'cancelAtPeriodEnd'];
+
+// How far back paid invoices are checked for a missing Payment
+const getInvoiceLookbackDays = () => Number(process.env.RECONCILIATION_INVOICE_DAYS) || 30;
+
+// Fetch every page of a Stripe list call
+const listAll = async (list, params) => {
+  const items = [];
+  let startingAfter;
+  let page;
+
+  do {
+    page = await list({ ...params, limit: 100, ...(startingAfter && { starting_after: startingAfter }) });
+    items.push(...page.data);
+    startingAfter = page.data[page.data.length - 1]?.id;
+  } while (page.has_more && startingAfter);
+
+  return items;
+};
+
+// Comparable values of a subscription, local or from Stripe
+const toComparable = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+const getStripeSubscriptionValues = (stripeSubscription) => ({
+  status: stripeSubscription.status,
+  currentPeriodStart: toComparable(toDateFromUnix(stripeSubscription.current_period_start)),
+  currentPeriodEnd: toComparable(toDateFromUnix(stripeSubscription.current_period_end)),
+  stripePriceId: stripeSubscription.items?.data?.[0]?.price?.id || null,
+  cancelAtPeriodEnd: Boolean(stripeSubscription.cancel_at_period_end)
+});
+
+// { field: { local, stripe } } for every field that differs
+const diffSubscription = (local, stripeSubscription) => {
+  const stripeValues = getStripeSubscriptionValues(stripeSubscription);
+  const fields = {};
+
+  for (const field of SUBSCRIPTION_FIELDS) {
+    const localValue = toComparable(local[field]);
+    if (localValue !== stripeValues[field]) {
+      fields[field] = { local: localValue, stripe: stripeValues[field] };
+    }
+  }
+
+  return fields;
+};
+
+const getInvoicePaymentIntentId = (invoice) => (
+  typeof invoice.payment_intent === 'string' ? invoice.payment_intent : invoice.payment_intent?.id || null
+);
+
+/**
+ * Compare one customer's Stripe subscriptions and paid invoices with the database
+ * @param {string} customerId - Stripe customer ID
+ * @param {Object} options - { stripeClient, repair, invoicesSince }
+ * @returns {Array} - Discrepancies found for the customer
+ */
+const reconcileCustomer = async (customerId, { stripeClient, repair, invoicesSince }) => {
+  const discrepancies = [];
+
+  const [stripeSubscriptions, localSubscriptions] = await Promise.all([
+    listAll(params => stripeClient.subscriptions.list(params), { customer: customerId, status: 'all' }),
+    Subscription.find({ stripeCustomerId: customerId })
+  ]);
+
+  const localById = new Map(localSubscriptions.map(sub => [sub.stripeSubscriptionId, sub]));
+
+  for (const stripeSubscription of stripeSubscriptions) {
+    const local = localById.get(stripeSubscription.id);
+    localById.delete(stripeSubscription.id);
+
+    const discrepancy = local
+      ? { type: 'subscription_mismatch', fields: diffSubscription(local, stripeSubscription) }
+      : { type: 'subscription_missing', fields: getStripeSubscriptionValues(stripeSubscription) };
+
+    if (local && Object.keys(discrepancy.fields).length === 0) continue;
+
+    discrepancy.customerId = customerId;
+    discrepancy.stripeSubscriptionId = stripeSubscription.id;
+    discrepancy.repaired = false;
+
+    if (repair) {
+      // No event time is stamped, as in findOrSyncSubscription: the local clock isn't Stripe's,
+      // and the next webhook event applies on top of the repaired state
+      const { subscription, skipped } = await syncSubscriptionFromStripe(stripeSubscription, { eventCreatedAt: null });
+      discrepancy.repaired = Boolean(subscription && !skipped);
+    }
+
+    discrepancies.push(discrepancy);
+  }
+
+  // Local records Stripe doesn't know about can't be repaired from Stripe; report them only
+  for (const local of localById.values()) {
+    discrepancies.push({
+      type: 'subscription_unknown_to_stripe',
+      customerId,
+      stripeSubscriptionId: local.stripeSubscriptionId,
+      subscriptionId: local._id,
+      repaired: false
+    });
+  }
+
+  const invoices = await listAll(
+    params => stripeClient.invoices.list(params),
+    { customer: customerId, status: 'paid', created: { gte: Math.floor(invoicesSince.getTime() / 1000) } }
+  );
+
+  for (const invoice of invoices) {
+    const paymentIntentId = getInvoicePaymentIntentId(invoice);
+    if (!invoice.subscription || !paymentIntentId || !(invoice.amount_paid > 0)) continue;
+
+    const payment = await Payment.exists({
+      $or: [{ stripePaymentIntentId: paymentIntentId }, { stripeInvoiceId: invoice.id }]
+    });
+    if (payment) continue;
+
+    const discrepancy = {
+      type: 'payment_missing',
+      customerId,
+      stripeInvoiceId: invoice.id,
+      stripePaymentIntentId: paymentIntentId,
+      stripeSubscriptionId: invoice.subscription,
+      amount: invoice.amount_paid,
+      currency: invoice.currency,
+      repaired: false
+    };
+
+    if (repair) {
+      const subscription = await Subscription.findOne({ stripeSubscriptionId: invoice.subscription });
+      if (subscription) {
+        await upsertPaymentForIntent(paymentIntentId, buildInvoicePaymentFields(invoice, subscription), {
+          status: 'succeeded',
+          receiptUrl: invoice.hosted_invoice_url || null
+        });
+        discrepancy.repaired = true;
+      }
+    }
+
+    discrepancies.push(discrepancy);
+  }
+
+  return discrepancies;
+};
+
+/**
+ * Compare Stripe subscriptions and paid invoices with the database for every known customer
+ * Stripe is the source of truth: with repair on, local subscriptions are re-synced from it
+ * and missing payments are recorded.
+ * @param {Object} options - { stripeClient (defaults to the live client; pass stripe-mock or a
+ *   fixture client in tests), repair, customerIds (defaults to every known stripeCustomerId) }
+ * @returns {Object} - Report with the discrepancies found
+ */
+const reconcileStripeData = async ({ stripeClient = stripe, repair = false, customerIds } = {}) => {
+  const startedAt = new Date();
+  const invoicesSince = new Date(startedAt.getTime() - getInvoiceLookbackDays() * 24 * 60 * 60 * 1000);
+
+  if (!customerIds) {
+    const [userCustomers, subscriptionCustomers] = await Promise.all([
+      User.distinct('stripeCustomerId', { stripeCustomerId: { $ne: null } }),
+      Subscription.distinct('stripeCustomerId')
+    ]);
+    customerIds = [...new Set([...userCustomers, ...subscriptionCustomers])];
+  }
+
+  const discrepancies = [];
+  const errors = [];
+
+  for (const customerId of customerIds) {
+    try {
+      discrepancies.push(...await reconcileCustomer(customerId, { stripeClient, repair, invoicesSince }));
+    } catch (error) {
+      // One customer failing (e.g. deleted in Stripe) shouldn't stop the run
+      console.error(`❌ Reconciliation failed for customer ${customerId}:`, error);
+      errors.push({ customerId, error: error.message });
+    }
+  }
+
+  const report = {
+    startedAt,
+    finishedAt: new Date(),
+    repair,
+    customersChecked: customerIds.length,
+    discrepancyCount: discrepancies.length,
+    repairedCount: discrepancies.filter(discrepancy => discrepancy.repaired).length,
+    discrepancies,
+    errors
+  };
+
+  if (discrepancies.length > 0 || errors.length > 0) {
+    console.warn(`⚠️ Reconciliation found ${report.discrepancyCount} discrepancy(ies) across ${report.customersChecked} customer(s), repaired ${report.repairedCount}, ${errors.length} error(s)`);
+  } else {
+    console.log(`✅ Reconciliation: ${report.customersChecked} customer(s) match Stripe`);
+  }
+
+  return report;
+};
+
+module.exports = {
+  reconcileStripeData
+};
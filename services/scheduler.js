@@ -0,0 +1,56 @@
+/**
+ * Minimal in-process job scheduler
+ * Runs each job on a fixed interval and never lets two runs of the same job overlap.
+ * Jobs must be safe to run on several server instances at once.
+ */
+
+const jobs = new Map();
+
+/**
+ * Register a recurring job
+ * @param {string} name - Job name used in logs
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} task - Async function to run
+ */
+const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already scheduled: ${name}`);
+  }
+
+  const job = { running: false, timer: null };
+
+  const run = async () => {
+    if (job.running) return;
+    job.running = true;
+
+    try {
+      await task();
+    } catch (error) {
+      console.error(`❌ Scheduled job ${name} failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for scheduled jobs
+  job.timer.unref();
+
+  jobs.set(name, job);
+  console.log(`⏱️ Scheduled job ${name} every ${Math.round(intervalMs / 1000)}s`);
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+const stopAllJobs = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+};
+
+module.exports = {
+  scheduleJob,
+  stopAllJobs
+};
@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { checkTrialEligibility } = require('./trialEligibilityService');
 
 /**
  * Determine which subscription plan a user should get
@@ -43,6 +44,17 @@ const getRecommendedPlan = async (user) => {
       };
     }
 
+    // Another account already had a trial with this email, card or signup IP
+    const eligibility = await checkTrialEligibility(user);
+    if (!eligibility.eligible) {
+      console.log(`🚫 Trial denied (${eligibility.reason}, claim ${eligibility.claimId}) - recurring plan`);
+      return {
+        planType: 'recurring',
+        reason: eligibility.reason,
+        skipInitial: true
+      };
+    }
+
     console.log('🆕 New user - should get initial plan with trial');
     return {
       planType: 'initial',
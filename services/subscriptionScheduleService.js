@@ -0,0 +1,237 @@
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { stripe, createSubscriptionSchedule, extendScheduleTrial } = require('../config/stripe');
+const { isDryRun, recordDryRunChange } = require('../utils/dryRun');
+const { toDateFromUnix } = require('./subscriptionSyncService');
+
+// Schedule statuses after which Stripe no longer changes the subscription
+const FINISHED_SCHEDULE_STATUSES = ['completed', 'released', 'canceled'];
+
+// A claim older than this is released, so failed attempts are retried without blocking the others
+const getScheduleRetryMs = () => (Number(process.env.TRIAL_SCHEDULE_RETRY_MINUTES) || 30) * 60 * 1000;
+
+// Local fields that follow a Stripe subscription schedule
+const buildScheduleState = (schedule) => {
+  const state = {
+    stripeScheduleId: schedule.id,
+    scheduleStatus: schedule.status
+  };
+
+  const recurringPhase = schedule.phases?.[1];
+  if (recurringPhase) {
+    state.recurringStartsAt = toDateFromUnix(recurringPhase.start_date);
+  }
+
+  return state;
+};
+
+/**
+ * Put an initial subscription on the initial→recurring schedule (see createSubscriptionSchedule)
+ * Reuses a schedule already attached in Stripe, so a retry after a crash doesn't fail.
+ * @param {Object} subscription - Initial Subscription document
+ * @returns {Object|null} - Stripe subscription schedule (null during dry runs)
+ */
+const attachTrialSchedule = async (subscription) => {
+  const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+
+  let schedule = stripeSubscription.schedule
+    ? await stripe.subscriptionSchedules.retrieve(stripeSubscription.schedule)
+    : null;
+
+  // A schedule without the recurring phase was created but never updated
+  if (!schedule || schedule.phases.length < 2) {
+    const recurringPlan = await SubscriptionPlan.getRecurringPlan();
+    if (!recurringPlan || !recurringPlan.stripePriceId) {
+      throw new Error('Recurring plan not found');
+    }
+
+    if (isDryRun()) {
+      recordDryRunChange({
+        model: 'Stripe',
+        operation: 'subscriptionSchedules.create',
+        id: subscription.stripeSubscriptionId,
+        params: { from_subscription: subscription.stripeSubscriptionId, recurringPriceId: recurringPlan.stripePriceId }
+      });
+      return null;
+    }
+
+    schedule = await createSubscriptionSchedule(stripeSubscription, recurringPlan.stripePriceId);
+  }
+
+  Object.assign(subscription, buildScheduleState(schedule), { scheduleClaimedAt: null });
+  await subscription.save();
+
+  console.log(`🗓️ Subscription ${subscription._id} scheduled to move to the recurring plan on ${subscription.recurringStartsAt?.toISOString()}`);
+
+  return schedule;
+};
+
+// Initial subscriptions of first-time subscribers that never got a schedule and aren't claimed
+const unscheduledTrialFilter = () => {
+  const now = new Date();
+
+  return {
+    subscriptionType: 'initial',
+    isFirstSubscription: true,
+    status: { $in: ['active', 'trialing'] },
+    scheduleStatus: null,
+    $or: [
+      { scheduleClaimedAt: null },
+      { scheduleClaimedAt: { $lt: new Date(now.getTime() - getScheduleRetryMs()) } }
+    ]
+  };
+};
+
+// Attach a schedule to a claimed subscription; on failure the claim is kept until it expires, then retried
+const attachClaimedSchedule = async (subscription) => {
+  try {
+    const schedule = await attachTrialSchedule(subscription);
+    return { success: true, subscription, schedule };
+  } catch (error) {
+    console.error(`❌ Failed to schedule subscription ${subscription._id}:`, error);
+    return { success: false, subscription, error: error.message };
+  }
+};
+
+/**
+ * Make sure a user's initial subscription is scheduled to move to the recurring plan
+ * (POST /api/trial/upgrade)
+ * @param {Object} user - User object
+ * @returns {Object|null} - { success, subscription, error }, or null without an initial subscription
+ */
+const scheduleTrialForUser = async (user) => {
+  const subscription = await Subscription.findOneAndUpdate(
+    { ...unscheduledTrialFilter(), user: user._id },
+    { $set: { scheduleClaimedAt: new Date() } },
+    { new: true }
+  );
+
+  if (subscription) {
+    return attachClaimedSchedule(subscription);
+  }
+
+  // Already scheduled (or being scheduled by the job)
+  const scheduled = await Subscription.findOne({
+    user: user._id,
+    subscriptionType: 'initial',
+    isFirstSubscription: true,
+    status: { $in: ['active', 'trialing'] }
+  });
+
+  return scheduled ? { success: true, subscription: scheduled } : null;
+};
+
+/**
+ * Attach schedules to initial subscriptions that missed one (e.g. the webhook handler failed)
+ * Safe to run on several instances: each subscription is claimed first.
+ * Failed attempts stay claimed for TRIAL_SCHEDULE_RETRY_MINUTES, so one run tries each at most once.
+ * @returns {number} - Number of subscriptions scheduled
+ */
+const processUnscheduledTrials = async () => {
+  let processed = 0;
+  let subscription;
+
+  const claimNext = () => Subscription.findOneAndUpdate(
+    unscheduledTrialFilter(),
+    { $set: { scheduleClaimedAt: new Date() } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+
+  while ((subscription = await claimNext())) {
+    const result = await attachClaimedSchedule(subscription);
+    if (result.success) processed += 1;
+  }
+
+  if (processed > 0) {
+    console.log(`🗓️ Scheduled ${processed} initial subscription(s) to move to the recurring plan`);
+  }
+
+  return processed;
+};
+
+/**
+ * Apply a subscription_schedule.* event to the local subscription
+ * A finished schedule is never moved back to an earlier status by a late event.
+ * @param {Object} schedule - Stripe subscription schedule
+ * @returns {Object|null} - Updated Subscription, or null when unknown or stale
+ */
+const syncScheduleFromStripe = async (schedule) => {
+  const stripeSubscriptionId = schedule.subscription || schedule.released_subscription;
+
+  const filter = {
+    $or: [
+      { stripeScheduleId: schedule.id },
+      ...(stripeSubscriptionId ? [{ stripeSubscriptionId }] : [])
+    ]
+  };
+  if (!FINISHED_SCHEDULE_STATUSES.includes(schedule.status)) {
+    filter.scheduleStatus = { $nin: FINISHED_SCHEDULE_STATUSES };
+  }
+
+  const subscription = await Subscription.findOneAndUpdate(
+    filter,
+    { $set: { ...buildScheduleState(schedule), scheduleClaimedAt: null } },
+    { new: true }
+  );
+
+  if (subscription) {
+    console.log(`🗓️ Schedule ${schedule.id} is ${schedule.status} for subscription ${subscription._id}`);
+  } else {
+    console.log(`ℹ️ No subscription to update for schedule ${schedule.id} (${schedule.status})`);
+  }
+
+  return subscription;
+};
+
+/**
+ * Release a subscription from its schedule so it can be changed directly
+ * (Stripe rejects cancel_at_period_end on subscriptions a schedule manages).
+ * The subscription keeps its current price.
+ * @param {Object} subscription - Subscription document
+ */
+const releaseSubscriptionSchedule = async (subscription) => {
+  if (!subscription.stripeScheduleId || FINISHED_SCHEDULE_STATUSES.includes(subscription.scheduleStatus)) {
+    return;
+  }
+
+  if (isDryRun()) {
+    recordDryRunChange({
+      model: 'Stripe',
+      operation: 'subscriptionSchedules.release',
+      id: subscription.stripeScheduleId
+    });
+  } else {
+    await stripe.subscriptionSchedules.release(subscription.stripeScheduleId);
+  }
+
+  subscription.scheduleStatus = 'released';
+  await subscription.save();
+
+  console.log(`🗓️ Released schedule ${subscription.stripeScheduleId} of subscription ${subscription._id}`);
+};
+
+/**
+ * Move the trial end of a subscription whose schedule is still running (admin trial extensions)
+ * @param {Object} subscription - Subscription document
+ * @param {Date} trialEnd - New trial end
+ * @returns {Object|null} - Updated Stripe subscription schedule, or null without a running schedule
+ */
+const extendScheduledTrial = async (subscription, trialEnd) => {
+  if (!subscription.stripeScheduleId || FINISHED_SCHEDULE_STATUSES.includes(subscription.scheduleStatus)) {
+    return null;
+  }
+
+  const schedule = await extendScheduleTrial(subscription.stripeScheduleId, Math.floor(trialEnd.getTime() / 1000));
+  Object.assign(subscription, buildScheduleState(schedule));
+
+  return schedule;
+};
+
+module.exports = {
+  attachTrialSchedule,
+  scheduleTrialForUser,
+  processUnscheduledTrials,
+  syncScheduleFromStripe,
+  releaseSubscriptionSchedule,
+  extendScheduledTrial
+};
@@ -0,0 +1,186 @@
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { stripe } = require('../config/stripe');
+
+// Helpers to safely handle Stripe UNIX timestamps (in seconds)
+const toDateFromUnix = (value) => {
+  const num = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(num) || num <= 0) return null;
+  const d = new Date(num * 1000);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+// Ensure we have full subscription object with current_period_* populated
+const ensureStripeSubscription = async (maybeSubscription) => {
+  if (maybeSubscription && toDateFromUnix(maybeSubscription.current_period_start) && toDateFromUnix(maybeSubscription.current_period_end)) {
+    return maybeSubscription;
+  }
+  try {
+    return await stripe.subscriptions.retrieve(maybeSubscription.id);
+  } catch (e) {
+    console.error('Failed to retrieve subscription from Stripe:', e);
+    return maybeSubscription;
+  }
+};
+
+// Find the local user a Stripe subscription belongs to
+const findSubscriptionOwner = async (stripeSubscription) => {
+  const userId = stripeSubscription.metadata?.userId;
+  if (userId) {
+    const user = await User.findById(userId);
+    if (user) return user;
+  }
+
+  return User.findOne({ stripeCustomerId: stripeSubscription.customer });
+};
+
+/**
+ * Build the local Subscription fields from a Stripe subscription object
+ * @param {Object} stripeSubscription - Stripe subscription
+ * @param {Object} plan - Matching SubscriptionPlan, if any
+ * @returns {Object} - Fields to set
+ */
+const buildSubscriptionState = (stripeSubscription, plan) => {
+  const metadata = stripeSubscription.metadata || {};
+  const isReturningUser = metadata.isReturningUser === 'true';
+
+  const state = {
+    status: stripeSubscription.status,
+    cancelAtPeriodEnd: Boolean(stripeSubscription.cancel_at_period_end),
+    canceledAt: toDateFromUnix(stripeSubscription.canceled_at),
+    // Returning users never get a trial
+    trialStart: isReturningUser ? null : toDateFromUnix(stripeSubscription.trial_start),
+    trialEnd: isReturningUser ? null : toDateFromUnix(stripeSubscription.trial_end),
+    metadata
+  };
+
+  const currentPeriodStart = toDateFromUnix(stripeSubscription.current_period_start);
+  const currentPeriodEnd = toDateFromUnix(stripeSubscription.current_period_end);
+  if (currentPeriodStart) state.currentPeriodStart = currentPeriodStart;
+  if (currentPeriodEnd) state.currentPeriodEnd = currentPeriodEnd;
+
+  if (plan) {
+    state.stripePriceId = plan.stripePriceId;
+    state.subscriptionType = plan.planType;
+    state.amount = plan.amount;
+    state.currency = plan.currency;
+    state.interval = plan.interval || undefined; // Allow undefined for one-time payments
+    state.intervalCount = plan.intervalCount;
+    // Only the initial plan of a first-time subscriber counts as the first subscription
+    state.isFirstSubscription = plan.planType === 'initial' && metadata.isFirstSubscription === 'true';
+  }
+
+  return state;
+};
+
+/**
+ * Create or update the local Subscription from a Stripe subscription object
+ * Shared by the subscription webhooks and reconciliation, so events can arrive in any
+ * order: the record is upserted, and state older than the last applied event is ignored.
+ * @param {Object} stripeSubscription - Stripe subscription
+ * @param {Object} options - { eventCreatedAt: Date of the Stripe event, if any }
+ * @returns {Object} - { subscription, user, created, skipped }
+ */
+const syncSubscriptionFromStripe = async (stripeSubscription, { eventCreatedAt = null } = {}) => {
+  const fullStripeSub = await ensureStripeSubscription(stripeSubscription);
+  const priceId = fullStripeSub.items?.data?.[0]?.price?.id;
+
+  const [user, plan] = await Promise.all([
+    findSubscriptionOwner(fullStripeSub),
+    priceId ? SubscriptionPlan.findOne({ stripePriceId: priceId }) : null
+  ]);
+
+  if (!plan) {
+    console.error('❌ Plan not found for price:', priceId);
+  }
+
+  const state = buildSubscriptionState(fullStripeSub, plan);
+  if (eventCreatedAt) {
+    state.lastStripeEventAt = eventCreatedAt;
+  }
+
+  // Without these a new record would be incomplete, so only existing ones are updated
+  const canCreate = Boolean(user && plan && state.currentPeriodStart && state.currentPeriodEnd);
+
+  // Only apply state at least as new as the last applied event
+  const filter = { stripeSubscriptionId: fullStripeSub.id };
+  if (eventCreatedAt) {
+    filter.$or = [
+      { lastStripeEventAt: null },
+      { lastStripeEventAt: { $lte: eventCreatedAt } }
+    ];
+  }
+
+  const upsert = () => Subscription.findOneAndUpdate(
+    filter,
+    {
+      $set: state,
+      ...(canCreate && {
+        $setOnInsert: {
+          user: user._id,
+          stripeCustomerId: fullStripeSub.customer
+        }
+      })
+    },
+    { upsert: canCreate, new: true, includeResultMetadata: true }
+  );
+
+  let result;
+  try {
+    result = await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // The record exists but did not match the filter: it already has newer state
+    const existing = await Subscription.findOne({ stripeSubscriptionId: fullStripeSub.id });
+    if (existing && eventCreatedAt && existing.lastStripeEventAt > eventCreatedAt) {
+      console.log(`ℹ️ Ignoring stale state for ${fullStripeSub.id} (event ${eventCreatedAt.toISOString()})`);
+      return { subscription: existing, user, created: false, skipped: true };
+    }
+
+    // Two inserts raced; the second one is now a plain update
+    result = await upsert();
+  }
+
+  const subscription = result.value;
+  if (!subscription) {
+    const existing = await Subscription.findOne({ stripeSubscriptionId: fullStripeSub.id });
+    if (existing) {
+      console.log(`ℹ️ Ignoring stale state for ${fullStripeSub.id} (event ${eventCreatedAt.toISOString()})`);
+    } else {
+      console.error('❌ Subscription not found and could not be created:', fullStripeSub.id);
+    }
+    return { subscription: existing, user, created: false, skipped: true };
+  }
+
+  const created = !result.lastErrorObject?.updatedExisting;
+  console.log(`✅ Subscription ${created ? 'created' : 'synced'}: ${subscription._id}, status: ${subscription.status}`);
+
+  return { subscription, user, created, skipped: false };
+};
+
+/**
+ * Get the local Subscription for a Stripe subscription ID, creating it from Stripe
+ * when no subscription event has been processed yet (e.g. the invoice arrived first)
+ * @param {string} stripeSubscriptionId - Stripe subscription ID
+ * @returns {Object} - { subscription, user, created }
+ */
+const findOrSyncSubscription = async (stripeSubscriptionId) => {
+  const subscription = await Subscription.findOne({ stripeSubscriptionId });
+  if (subscription) {
+    return { subscription, user: null, created: false };
+  }
+
+  // No event time is stamped: the local clock isn't Stripe's, and stamping it could make
+  // genuine later events look stale. The next event applies on top of this state.
+  const stripeSubscription = await stripe.subscriptions.retrieve(stripeSubscriptionId);
+  return syncSubscriptionFromStripe(stripeSubscription, { eventCreatedAt: null });
+};
+
+module.exports = {
+  toDateFromUnix,
+  ensureStripeSubscription,
+  syncSubscriptionFromStripe,
+  findOrSyncSubscription
+};
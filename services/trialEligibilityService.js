@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const TrialClaim = require('../models/TrialClaim');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { stripe } = require('../config/stripe');
+const { isDryRun, recordDryRunChange } = require('../utils/dryRun');
+const { releaseSubscriptionSchedule } = require('./subscriptionScheduleService');
+const { emitEvent, serializeSubscription } = require('./outboundWebhookService');
+
+// Providers that ignore dots in the local part
+const DOT_INSENSITIVE_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Days a signup IP that was used for a trial blocks further trials (0 turns the IP check off)
+const getTrialIpWindowDays = () => {
+  const value = process.env.TRIAL_IP_WINDOW_DAYS;
+  const days = Number(value);
+  return value === undefined || value === '' || !Number.isFinite(days) || days < 0 ? 30 : days;
+};
+
+/**
+ * Normalize an email so aliases of one mailbox compare equal:
+ * lowercased, "+tag" removed, and dots removed for Gmail addresses
+ * @param {string} email - Email address
+ * @returns {string} - Normalized email
+ */
+const normalizeEmail = (email) => {
+  const value = String(email || '').trim().toLowerCase();
+  const at = value.lastIndexOf('@');
+  if (at === -1) return value;
+
+  let local = value.slice(0, at).split('+')[0];
+  let domain = value.slice(at + 1);
+
+  if (DOT_INSENSITIVE_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+
+  return `${local}@${domain}`;
+};
+
+// Keyed hash of a trial signal (normalized email, signup IP, card fingerprint), or null when missing
+const hashTrialSignal = (value) => (
+  value
+    ? crypto
+      .createHmac('sha256', process.env.TRIAL_CLAIM_HMAC_SECRET || process.env.JWT_SECRET)
+      .update(String(value))
+      .digest('hex')
+    : null
+);
+
+const hashFingerprints = (fingerprints = []) => fingerprints.filter(Boolean).map(hashTrialSignal);
+
+const getUserId = (value) => value?._id || value;
+
+/**
+ * Check whether a user may get the free trial
+ * A trial is denied when another account already claimed one with the same normalized
+ * email, one of the user's cards, or the same signup IP within TRIAL_IP_WINDOW_DAYS (unless 0).
+ * Revoked claims don't count: that account never got its trial.
+ * @param {Object} user - User object
+ * @returns {Object} - { eligible, reason, claimId }
+ */
+const checkTrialEligibility = async (user) => {
+  const otherUsers = { user: { $ne: user._id }, revokedAt: null };
+
+  const emailClaim = await TrialClaim.findOne({ ...otherUsers, emailHash: hashTrialSignal(normalizeEmail(user.email)) });
+  if (emailClaim) {
+    return { eligible: false, reason: 'email_used_for_trial', claimId: emailClaim._id };
+  }
+
+  if (user.cardFingerprints?.length > 0) {
+    const cardClaim = await TrialClaim.findOne({
+      ...otherUsers,
+      cardFingerprintHashes: { $in: hashFingerprints(user.cardFingerprints) }
+    });
+    if (cardClaim) {
+      return { eligible: false, reason: 'card_used_for_trial', claimId: cardClaim._id };
+    }
+  }
+
+  const ipWindowDays = getTrialIpWindowDays();
+  if (user.signupIp && ipWindowDays > 0) {
+    const since = new Date(Date.now() - ipWindowDays * 24 * 60 * 60 * 1000);
+    const ipClaim = await TrialClaim.findOne({
+      ...otherUsers,
+      signupIpHash: hashTrialSignal(user.signupIp),
+      createdAt: { $gte: since }
+    });
+    if (ipClaim) {
+      return { eligible: false, reason: 'ip_used_for_trial', claimId: ipClaim._id };
+    }
+  }
+
+  return { eligible: true, reason: null, claimId: null };
+};
+
+// Whether a subscription is a first-time trial that can still be revoked
+const isRevocableTrial = (subscription) => (
+  subscription.subscriptionType === 'initial' &&
+  subscription.isFirstSubscription &&
+  subscription.status === 'trialing'
+);
+
+/**
+ * End a trial now and move the subscription to the recurring plan, like a returning user's
+ * @param {Object} subscription - Initial Subscription document
+ * @param {string} reason - Why the trial was revoked (stored on the claim and in Stripe metadata)
+ * @returns {boolean} - Whether the trial was revoked
+ */
+const revokeTrial = async (subscription, reason) => {
+  if (!isRevocableTrial(subscription)) return false;
+
+  const recurringPlan = await SubscriptionPlan.getRecurringPlan();
+  if (!recurringPlan || !recurringPlan.stripePriceId) {
+    throw new Error('Recurring plan not found');
+  }
+
+  // The schedule would otherwise keep the initial price
+  await releaseSubscriptionSchedule(subscription);
+
+  const current = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+  const stripeUpdate = {
+    trial_end: 'now',
+    items: [{
+      id: current.items.data[0].id,
+      price: recurringPlan.stripePriceId
+    }],
+    proration_behavior: 'none',
+    metadata: {
+      ...subscription.metadata,
+      planType: 'recurring',
+      isFirstSubscription: 'false',
+      isReturningUser: 'true',
+      trialDeniedReason: reason
+    }
+  };
+
+  if (isDryRun()) {
+    recordDryRunChange({
+      model: 'Stripe',
+      operation: 'subscriptions.update',
+      id: subscription.stripeSubscriptionId,
+      params: stripeUpdate
+    });
+  } else {
+    await stripe.subscriptions.update(subscription.stripeSubscriptionId, stripeUpdate);
+  }
+
+  subscription.subscriptionType = 'recurring';
+  subscription.stripePriceId = recurringPlan.stripePriceId;
+  subscription.amount = recurringPlan.amount;
+  subscription.interval = recurringPlan.interval;
+  subscription.intervalCount = recurringPlan.intervalCount;
+  subscription.isFirstSubscription = false;
+  subscription.trialEnd = new Date();
+  subscription.metadata = stripeUpdate.metadata;
+  await subscription.save();
+
+  await TrialClaim.updateOne(
+    { subscription: subscription._id },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  console.log(`🚫 Trial revoked for subscription ${subscription._id} (${reason})`);
+
+  await emitEvent('subscription.updated', serializeSubscription(subscription));
+
+  return true;
+};
+
+// Revoke the trial if another account's trial used one of these cards
+const revokeTrialOnSharedCard = async (subscription, fingerprints) => {
+  if (fingerprints.length === 0 || !isRevocableTrial(subscription)) return false;
+
+  const conflict = await TrialClaim.findOne({
+    user: { $ne: getUserId(subscription.user) },
+    revokedAt: null,
+    cardFingerprintHashes: { $in: hashFingerprints(fingerprints) }
+  });
+
+  return conflict ? revokeTrial(subscription, 'card_used_for_trial') : false;
+};
+
+/**
+ * Record the trial a new initial subscription grants
+ * The card usually isn't known at checkout, so it is checked again here and when it arrives.
+ * @param {Object} subscription - Initial Subscription document
+ * @param {Object} user - Owner of the subscription
+ */
+const recordTrialClaim = async (subscription, user) => {
+  if (!isRevocableTrial(subscription)) return;
+
+  const cardFingerprints = user.cardFingerprints || [];
+
+  await TrialClaim.findOneAndUpdate(
+    { subscription: subscription._id },
+    {
+      $setOnInsert: {
+        user: user._id,
+        emailHash: hashTrialSignal(normalizeEmail(user.email)),
+        signupIpHash: hashTrialSignal(user.signupIp)
+      },
+      $addToSet: { cardFingerprintHashes: { $each: hashFingerprints(cardFingerprints) } }
+    },
+    { upsert: true }
+  );
+
+  await revokeTrialOnSharedCard(subscription, cardFingerprints);
+};
+
+/**
+ * Remember a card a user paid or set up with, and revoke their trial if another
+ * account's trial already used it
+ * @param {Object} subscription - Subscription the card was used for
+ * @param {string} fingerprint - Stripe card fingerprint
+ */
+const recordCardFingerprint = async (subscription, fingerprint) => {
+  if (!fingerprint) return;
+
+  await User.updateOne({ _id: getUserId(subscription.user) }, { $addToSet: { cardFingerprints: fingerprint } });
+
+  if (!isRevocableTrial(subscription)) return;
+
+  await TrialClaim.updateOne(
+    { subscription: subscription._id },
+    { $addToSet: { cardFingerprintHashes: hashTrialSignal(fingerprint) } }
+  );
+  await revokeTrialOnSharedCard(subscription, [fingerprint]);
+};
+
+module.exports = {
+  normalizeEmail,
+  hashTrialSignal,
+  checkTrialEligibility,
+  recordTrialClaim,
+  recordCardFingerprint,
+  revokeTrial
+};
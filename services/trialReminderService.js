@@ -0,0 +1,150 @@
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { sendTrialReminderEmail, sendTrialEndedEmail } = require('../utils/email');
+const { generateCancelLinkToken } = require('../utils/jwt');
+
+const CONVERSION_REMINDER = 'conversion';
+
+// The conversion email is skipped for trials that ended longer ago than this
+// (e.g. while the job wasn't running), so nobody gets it days late
+const CONVERSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Hours before trialEnd at which reminders go out, largest first
+const getReminderHours = () => (process.env.TRIAL_REMINDER_HOURS || '48,24')
+  .split(',')
+  .map(Number)
+  .filter(hours => Number.isFinite(hours) && hours > 0)
+  .sort((a, b) => b - a);
+
+/**
+ * The reminder due for a subscription right now, if any
+ * Only the latest due reminder counts: one missed while the job was down is not sent late.
+ * @param {Object} subscription - Subscription document
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { key, hoursLeft }
+ */
+const getDueReminder = (subscription, now = new Date()) => {
+  const msLeft = subscription.trialEnd - now;
+
+  if (msLeft <= 0) {
+    return -msLeft <= CONVERSION_WINDOW_MS ? { key: CONVERSION_REMINDER, hoursLeft: 0 } : null;
+  }
+
+  const due = getReminderHours().filter(hours => msLeft <= hours * 60 * 60 * 1000);
+  if (due.length === 0) return null;
+
+  const hours = due[due.length - 1];
+  return { key: `${hours}h`, hoursLeft: hours };
+};
+
+// Subscriptions in (or just out of) a first trial that may still be canceled by the user
+const isReminderCandidate = (subscription) => (
+  subscription.subscriptionType === 'initial' &&
+  subscription.isFirstSubscription &&
+  subscription.trialEnd &&
+  !subscription.cancelAtPeriodEnd &&
+  ['active', 'trialing'].includes(subscription.status)
+);
+
+/**
+ * Send the reminder that is due for a subscription, if it hasn't been sent yet
+ * The send is recorded before the email goes out (and removed again if it fails), so
+ * redelivered trial_will_end events and several job instances never send it twice.
+ * @param {Object} subscription - Subscription document
+ * @returns {string|null} - Key of the reminder sent
+ */
+const sendDueTrialReminder = async (subscription) => {
+  if (!isReminderCandidate(subscription)) return null;
+
+  const reminder = getDueReminder(subscription);
+  if (!reminder) return null;
+
+  const recorded = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, 'trialReminders.key': { $ne: reminder.key } },
+    { $push: { trialReminders: { key: reminder.key, sentAt: new Date() } } },
+    { new: true }
+  ).populate('user', 'name email');
+
+  if (!recorded) return null;
+
+  const user = recorded.user;
+  if (!user) {
+    console.error(`❌ No user for subscription ${subscription._id}, trial reminder skipped`);
+    return null;
+  }
+
+  try {
+    const recurringPlan = await SubscriptionPlan.getRecurringPlan();
+    const charge = {
+      // The initial price is billed at trialEnd, the weekly price once the schedule moves over
+      initialAmount: recorded.amount,
+      initialChargeAt: recorded.trialEnd,
+      recurringAmount: recurringPlan?.amount,
+      currency: recorded.currency || recurringPlan?.currency,
+      // Without a schedule yet, the weekly price follows one paid week of the initial price
+      recurringStartsAt: recorded.recurringStartsAt || new Date(recorded.trialEnd.getTime() + 7 * 24 * 60 * 60 * 1000),
+      cancelUrl: `${process.env.FRONTEND_URL}/cancel-subscription?token=${generateCancelLinkToken(recorded)}`
+    };
+
+    if (reminder.key === CONVERSION_REMINDER) {
+      await sendTrialEndedEmail(user.email, user.name, charge);
+    } else {
+      await sendTrialReminderEmail(user.email, user.name, {
+        hoursLeft: reminder.hoursLeft,
+        trialEnd: recorded.trialEnd,
+        ...charge
+      });
+    }
+  } catch (error) {
+    // Forget the send so the next run tries again
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { $pull: { trialReminders: { key: reminder.key } } }
+    );
+    throw error;
+  }
+
+  console.log(`📧 Trial reminder ${reminder.key} sent for subscription ${subscription._id}`);
+
+  return reminder.key;
+};
+
+/**
+ * Send every trial reminder that is due
+ * @returns {number} - Number of reminders sent
+ */
+const processTrialReminders = async () => {
+  const now = new Date();
+  const maxHours = Math.max(0, ...getReminderHours());
+
+  const subscriptions = await Subscription.find({
+    subscriptionType: 'initial',
+    isFirstSubscription: true,
+    status: { $in: ['active', 'trialing'] },
+    cancelAtPeriodEnd: false,
+    trialEnd: {
+      $gte: new Date(now.getTime() - CONVERSION_WINDOW_MS),
+      $lte: new Date(now.getTime() + maxHours * 60 * 60 * 1000)
+    }
+  });
+
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    try {
+      if (await sendDueTrialReminder(subscription)) sent += 1;
+    } catch (error) {
+      console.error(`❌ Failed to send trial reminder for subscription ${subscription._id}:`, error);
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`📧 Sent ${sent} trial reminder(s)`);
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendDueTrialReminder,
+  processTrialReminders
+};
@@ -1,11 +1,10 @@
 const Subscription = require('../models/Subscription');
-const SubscriptionPlan = require('../models/SubscriptionPlan');
-const { stripe } = require('../config/stripe');
 
 /**
- * Check if user is within trial period and handle auto-upgrade
+ * Check if user is within trial period
+ * Read-only: the move to the recurring plan is done by the subscription's Stripe schedule.
  * @param {Object} user - User object
- * @returns {Object} - Trial status and action taken
+ * @returns {Object} - Trial status
  */
 const checkTrialStatus = async (user) => {
   try {
@@ -29,7 +28,7 @@ const checkTrialStatus = async (user) => {
 
     const now = new Date();
     const trialEnd = initialSubscription.trialEnd;
-    
+
     if (!trialEnd) {
       console.log('⚠️ No trial end date found for initial subscription');
       return {
@@ -40,44 +39,26 @@ const checkTrialStatus = async (user) => {
     }
 
     const isInTrial = now < trialEnd;
-    
+
     if (isInTrial) {
       console.log(`✅ User is within trial period (ends: ${trialEnd.toISOString()})`);
       return {
         isInTrial: true,
         shouldCharge: false,
-        action: 'trial_active'
-      };
-    } else {
-      console.log(`⏰ Trial period ended (ended: ${trialEnd.toISOString()})`);
-      
-      // Check if user already has recurring subscription
-      const recurringSubscription = await Subscription.findOne({
-        user: user._id,
-        subscriptionType: 'recurring',
-        status: { $in: ['active', 'trialing'] }
-      });
-
-      if (recurringSubscription) {
-        console.log('ℹ️ User already has recurring subscription');
-        return {
-          isInTrial: false,
-          shouldCharge: false,
-          action: 'already_recurring'
-        };
-      }
-
-      // Auto-upgrade to recurring subscription
-      console.log('🔄 Auto-upgrading to recurring subscription...');
-      const upgradeResult = await upgradeToRecurringSubscription(initialSubscription);
-      
-      return {
-        isInTrial: false,
-        shouldCharge: true,
-        action: 'upgraded_to_recurring',
-        upgradeResult
+        action: 'trial_active',
+        trialEnd
       };
     }
+
+    console.log(`⏰ Trial period ended (ended: ${trialEnd.toISOString()})`);
+    return {
+      isInTrial: false,
+      shouldCharge: true,
+      action: 'trial_ended',
+      trialEnd,
+      recurringStartsAt: initialSubscription.recurringStartsAt,
+      subscriptionId: initialSubscription._id
+    };
   } catch (error) {
     console.error('❌ Error checking trial status:', error);
     return {
@@ -89,49 +70,6 @@ const checkTrialStatus = async (user) => {
   }
 };
 
-/**
- * Upgrade initial subscription to recurring subscription
- * @param {Object} initialSubscription - Initial subscription object
- * @returns {Object} - Upgrade result
- */
-const upgradeToRecurringSubscription = async (initialSubscription) => {
-  try {
-    console.log(`🔄 Upgrading subscription ${initialSubscription._id} to recurring`);
-
-    // Get recurring plan
-    const recurringPlan = await SubscriptionPlan.getRecurringPlan();
-    if (!recurringPlan) {
-      throw new Error('Recurring plan not found');
-    }
-
-    // Update subscription in database
-    initialSubscription.subscriptionType = 'recurring';
-    initialSubscription.stripePriceId = recurringPlan.stripePriceId;
-    initialSubscription.amount = recurringPlan.amount;
-    initialSubscription.interval = recurringPlan.interval;
-    initialSubscription.isFirstSubscription = false;
-    initialSubscription.trialStart = null;
-    initialSubscription.trialEnd = null;
-    
-    await initialSubscription.save();
-
-    console.log(`✅ Subscription upgraded to recurring: ${initialSubscription._id}`);
-    
-    return {
-      success: true,
-      subscriptionId: initialSubscription._id,
-      newAmount: recurringPlan.amount,
-      newInterval: recurringPlan.interval
-    };
-  } catch (error) {
-    console.error('❌ Error upgrading subscription:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
-};
-
 /**
  * Check if user should be charged for login
  * This is the main function to call when user logs in
@@ -140,13 +78,15 @@ const upgradeToRecurringSubscription = async (initialSubscription) => {
  */
 const shouldChargeUser = async (user) => {
   const trialStatus = await checkTrialStatus(user);
-  
+
   if (trialStatus.shouldCharge) {
     console.log(`💰 User should be charged: ${user.email}`);
     return {
       shouldCharge: true,
       reason: 'trial_ended',
-      subscription: trialStatus.upgradeResult
+      trialEnd: trialStatus.trialEnd,
+      recurringStartsAt: trialStatus.recurringStartsAt,
+      subscriptionId: trialStatus.subscriptionId
     };
   } else if (trialStatus.isInTrial) {
     console.log(`🆓 User is in trial, no charge: ${user.email}`);
@@ -166,7 +106,5 @@ const shouldChargeUser = async (user) => {
 
 module.exports = {
   checkTrialStatus,
-  upgradeToRecurringSubscription,
   shouldChargeUser
 };
-
@@ -0,0 +1,111 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const { runDryRun } = require('../utils/dryRun');
+
+// Retry policy for stored Stripe events
+const getRetryPolicy = () => ({
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  baseDelayMs: (Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000,
+  maxDelayMs: (Number(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 6 * 60 * 60) * 1000
+});
+
+/**
+ * Run a claimed event through the dispatcher and record the outcome
+ * @param {Object} storedEvent - Claimed WebhookEvent document
+ * @param {Function} dispatch - Handler taking the Stripe event
+ */
+const runClaimedEvent = async (storedEvent, dispatch) => {
+  try {
+    // A redacted event (the customer's account was deleted) has nothing left to apply
+    if (!storedEvent.redactedAt) {
+      await dispatch(storedEvent.payload);
+    }
+    await storedEvent.markSucceeded();
+    console.log(`✅ Webhook event ${storedEvent.stripeEventId} (${storedEvent.type}) processed`);
+  } catch (error) {
+    await storedEvent.markFailed(error, getRetryPolicy());
+
+    if (storedEvent.status === 'dead_letter') {
+      console.error(`☠️ Webhook event ${storedEvent.stripeEventId} dead-lettered after ${storedEvent.attempts} attempts:`, error);
+    } else {
+      console.error(`❌ Webhook event ${storedEvent.stripeEventId} failed (attempt ${storedEvent.attempts}), retrying at ${storedEvent.nextAttemptAt.toISOString()}:`, error);
+    }
+  }
+};
+
+/**
+ * Process one stored event right away if it is due
+ * Used right after a webhook is acknowledged so most events don't wait for the next poll.
+ * @param {string} id - WebhookEvent ID
+ * @param {Function} dispatch - Handler taking the Stripe event
+ */
+const processWebhookEvent = async (id, dispatch) => {
+  const storedEvent = await WebhookEvent.claim(id);
+  if (!storedEvent) return;
+
+  await runClaimedEvent(storedEvent, dispatch);
+};
+
+/**
+ * Process every stored event that is due, oldest first
+ * Safe to run on several instances: each event is claimed before it runs.
+ * @param {Function} dispatch - Handler taking the Stripe event
+ * @returns {number} - Number of events run
+ */
+const processDueWebhookEvents = async (dispatch) => {
+  let processed = 0;
+  let storedEvent;
+
+  while ((storedEvent = await WebhookEvent.claimNext())) {
+    await runClaimedEvent(storedEvent, dispatch);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+/**
+ * Re-run a stored event through the dispatcher, whatever its status
+ * In dry-run mode nothing is written; the changes the handlers would make are returned.
+ * A real replay claims the event like the worker does, so it never runs alongside it.
+ * @param {Object} storedEvent - WebhookEvent document
+ * @param {Function} dispatch - Handler taking the Stripe event
+ * @param {Object} options - { dryRun }
+ * @returns {Object|null} - { stripeEventId, type, succeeded, error, changes }, or null while the event is being processed
+ */
+const replayWebhookEvent = async (storedEvent, dispatch, { dryRun = false } = {}) => {
+  const result = {
+    id: storedEvent._id,
+    stripeEventId: storedEvent.stripeEventId,
+    type: storedEvent.type,
+    dryRun
+  };
+
+  if (dryRun) {
+    const { changes, error } = await runDryRun(() => dispatch(storedEvent.payload));
+    return { ...result, succeeded: !error, error, changes };
+  }
+
+  const previous = await WebhookEvent.claimForReplay(storedEvent._id);
+  if (!previous) return null;
+
+  // A failed replay puts the event back as it was (an abandoned claim counts as failed)
+  const previousStatus = previous.status === 'processing' ? 'failed' : previous.status;
+  const release = (fields) => WebhookEvent.updateOne({ _id: previous._id }, { $set: fields });
+
+  try {
+    await dispatch(previous.payload);
+    await release({ status: 'succeeded', lastError: null, processedAt: new Date() });
+    console.log(`🔁 Replayed webhook event ${storedEvent.stripeEventId} (${storedEvent.type})`);
+    return { ...result, succeeded: true, error: null };
+  } catch (error) {
+    await release({ status: previousStatus, lastError: error.message });
+    console.error(`❌ Replay of webhook event ${storedEvent.stripeEventId} failed:`, error);
+    return { ...result, succeeded: false, error: error.message };
+  }
+};
+
+module.exports = {
+  processWebhookEvent,
+  processDueWebhookEvents,
+  replayWebhookEvent
+};
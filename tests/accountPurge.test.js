@@ -0,0 +1,137 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'account-purge-test';
+
+jest.mock('../config/stripe', () => ({
+  stripe: {
+    subscriptions: { cancel: jest.fn() },
+    customers: { del: jest.fn() }
+  }
+}));
+jest.mock('../models/User', () => ({
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../models/Subscription', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../models/Payment', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../models/OTP', () => ({ deleteMany: jest.fn() }));
+jest.mock('../models/Session', () => ({ deleteMany: jest.fn() }));
+jest.mock('../models/TrialClaim', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../models/WebhookEvent', () => ({ updateMany: jest.fn() }));
+
+const Subscription = require('../models/Subscription');
+const Payment = require('../models/Payment');
+const TrialClaim = require('../models/TrialClaim');
+const WebhookEvent = require('../models/WebhookEvent');
+const { recordTrialClaim, hashTrialSignal } = require('../services/trialEligibilityService');
+const { purgeUser } = require('../services/accountService');
+
+const user = {
+  _id: 'user_1',
+  email: 'Jane.Doe+trial@gmail.com',
+  pendingEmail: null,
+  stripeCustomerId: 'cus_1',
+  signupIp: '203.0.113.7',
+  cardFingerprints: ['fp_card_1']
+};
+
+const subscription = {
+  _id: 'local_sub',
+  user: 'user_1',
+  stripeSubscriptionId: 'sub_1',
+  subscriptionType: 'initial',
+  isFirstSubscription: true,
+  status: 'trialing'
+};
+
+// Strings that identify the person and must not be readable after the purge (Stripe ids stay, as on payments)
+const PERSONAL = ['jane', 'doe', '203.0.113.7', 'fp_card_1'];
+
+// Resolves like a query, with the chainable methods the purge uses
+const query = (result) => ({
+  select: () => query(result),
+  lean: () => Promise.resolve(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+describe('purgeUser', () => {
+  let trialClaims;
+  let webhookEvents;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    trialClaims = [];
+    TrialClaim.findOne.mockResolvedValue(null);
+    TrialClaim.findOneAndUpdate.mockImplementation((filter, update) => {
+      trialClaims.push({
+        ...filter,
+        ...update.$setOnInsert,
+        cardFingerprintHashes: update.$addToSet.cardFingerprintHashes.$each
+      });
+      return Promise.resolve(trialClaims[trialClaims.length - 1]);
+    });
+
+    webhookEvents = [
+      { objectId: 'sub_1', customerId: 'cus_1', redactedAt: null, payload: { data: { object: { customer: 'cus_1' } } } },
+      {
+        objectId: 'du_1',
+        customerId: null,
+        redactedAt: null,
+        payload: { data: { object: { id: 'du_1', evidence: { customer_email_address: 'jane.doe@gmail.com' } } } }
+      },
+      { objectId: 'sub_other', customerId: 'cus_other', redactedAt: null, payload: { data: { object: { customer: 'cus_other' } } } }
+    ];
+    WebhookEvent.updateMany.mockImplementation(({ $or }, { $set }) => {
+      const objectIds = $or.find(condition => condition.objectId).objectId.$in;
+      const customerIds = $or.filter(condition => condition.customerId).map(condition => condition.customerId);
+      for (const event of webhookEvents) {
+        if (objectIds.includes(event.objectId) || customerIds.includes(event.customerId)) {
+          Object.assign(event, $set);
+        }
+      }
+      return Promise.resolve({});
+    });
+
+    Subscription.find.mockReturnValue(query([]));
+    Payment.find.mockReturnValue(query([
+      { stripePaymentIntentId: 'pi_1', stripeInvoiceId: 'in_1', dispute: { stripeDisputeId: 'du_1' } }
+    ]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('leaves nothing readable about the person in trial claims or stored Stripe events', async () => {
+    await recordTrialClaim(subscription, user);
+    await purgeUser(user);
+
+    const remaining = JSON.stringify([trialClaims, webhookEvents.slice(0, 2)]).toLowerCase();
+    for (const value of PERSONAL) {
+      expect(remaining).not.toContain(value);
+    }
+
+    expect(webhookEvents[0]).toMatchObject({ payload: {}, redactedAt: expect.any(Date) });
+    expect(webhookEvents[1]).toMatchObject({ payload: {}, redactedAt: expect.any(Date) });
+    expect(webhookEvents[2].payload.data.object.customer).toBe('cus_other');
+  });
+
+  it('still matches the hashed signals of the deleted account', async () => {
+    await recordTrialClaim(subscription, user);
+
+    expect(trialClaims[0]).toMatchObject({
+      emailHash: hashTrialSignal('janedoe@gmail.com'),
+      signupIpHash: hashTrialSignal('203.0.113.7'),
+      cardFingerprintHashes: [hashTrialSignal('fp_card_1')]
+    });
+  });
+});
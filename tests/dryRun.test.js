@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { runDryRun, dryRunPlugin } = require('../utils/dryRun');
+
+const recordSchema = new mongoose.Schema({
+  status: String,
+  attempts: Number,
+  tags: [String],
+  refunds: [{ _id: false, stripeRefundId: String, amount: Number }],
+  note: String
+});
+recordSchema.plugin(dryRunPlugin);
+const Record = mongoose.model('DryRunRecord', recordSchema);
+
+const existing = {
+  _id: new mongoose.Types.ObjectId(),
+  status: 'pending',
+  attempts: 1,
+  tags: ['a', 'b'],
+  refunds: [{ stripeRefundId: 're_1', amount: 100 }],
+  note: 'keep me?'
+};
+
+// Handlers await their queries inside the dry run, so the test does too
+const dryRunUpdate = (update) => runDryRun(async () => {
+  await Record.updateOne({ _id: existing._id }, update);
+});
+
+describe('dryRunPlugin update queries', () => {
+  beforeEach(() => {
+    jest.spyOn(Record, 'findOne').mockReturnValue({ lean: () => Promise.resolve(existing) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports every supported update operator', async () => {
+    const { changes, error } = await dryRunUpdate({
+      $set: { status: 'done' },
+      $inc: { attempts: 2 },
+      $addToSet: { tags: { $each: ['b', 'c'] } },
+      $push: { refunds: { stripeRefundId: 're_2', amount: 50 } },
+      $unset: { note: '' }
+    });
+
+    expect(error).toBeNull();
+    expect(changes).toEqual([expect.objectContaining({
+      model: 'DryRunRecord',
+      operation: 'update',
+      fields: {
+        status: { from: 'pending', to: 'done' },
+        attempts: { from: 1, to: 3 },
+        tags: { from: ['a', 'b'], to: ['a', 'b', 'c'] },
+        refunds: {
+          from: [{ stripeRefundId: 're_1', amount: 100 }],
+          to: [{ stripeRefundId: 're_1', amount: 100 }, { stripeRefundId: 're_2', amount: 50 }]
+        },
+        note: { from: 'keep me?', to: null }
+      }
+    })]);
+  });
+
+  it('reports $pull by value and by subdocument match', async () => {
+    const { changes } = await dryRunUpdate({
+      $pull: { tags: 'a', refunds: { stripeRefundId: 're_1' } }
+    });
+
+    expect(changes[0].fields).toEqual({
+      tags: { from: ['a', 'b'], to: ['b'] },
+      refunds: { from: [{ stripeRefundId: 're_1', amount: 100 }], to: [] }
+    });
+  });
+
+  it('fails the dry run on an update it cannot reproduce', async () => {
+    const { changes, error } = await dryRunUpdate({
+      $rename: { note: 'comment' }
+    });
+
+    expect(error).toMatch(/\$rename/);
+    expect(changes).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_invoice_payment_failed';
+
+jest.mock('../models/Payment', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../services/subscriptionSyncService', () => ({
+  ...jest.requireActual('../services/subscriptionSyncService'),
+  findOrSyncSubscription: jest.fn()
+}));
+jest.mock('../services/outboundWebhookService', () => ({
+  ...jest.requireActual('../services/outboundWebhookService'),
+  emitEvent: jest.fn()
+}));
+
+const Payment = require('../models/Payment');
+const { findOrSyncSubscription } = require('../services/subscriptionSyncService');
+const { emitEvent } = require('../services/outboundWebhookService');
+const { dispatchStripeEvent } = require('../controllers/webhookController');
+
+const subscription = { _id: 'local_sub', user: 'user_1', subscriptionType: 'recurring' };
+
+const failedEvent = {
+  id: 'evt_failed',
+  type: 'invoice.payment_failed',
+  data: {
+    object: { id: 'in_1', subscription: 'sub_1', payment_intent: 'pi_1', amount_due: 1000, currency: 'eur' }
+  }
+};
+
+// In-memory Payment collection with a unique stripePaymentIntentId, like the real one
+let payments;
+
+const matches = (payment, filter) => (
+  payment.stripePaymentIntentId === filter.stripePaymentIntentId
+  && !(filter.status?.$nin || []).includes(payment.status)
+);
+
+describe('invoice.payment_failed', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    payments = new Map();
+    Payment.findOne.mockImplementation(({ stripePaymentIntentId }) =>
+      Promise.resolve(payments.get(stripePaymentIntentId) || null));
+    Payment.findOneAndUpdate.mockImplementation((filter, update, { upsert }) => {
+      const existing = payments.get(filter.stripePaymentIntentId);
+      if (existing && !matches(existing, filter)) {
+        return upsert ? Promise.reject(Object.assign(new Error('E11000'), { code: 11000 })) : Promise.resolve(null);
+      }
+
+      const payment = existing
+        ? { ...existing, ...update.$set }
+        : { _id: 'payment_1', stripePaymentIntentId: filter.stripePaymentIntentId, ...update.$setOnInsert, ...update.$set };
+      payments.set(filter.stripePaymentIntentId, payment);
+      return Promise.resolve(payment);
+    });
+    findOrSyncSubscription.mockResolvedValue({ subscription, created: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('records the failed payment', async () => {
+    await dispatchStripeEvent(failedEvent);
+
+    expect(payments.get('pi_1')).toMatchObject({ status: 'canceled', amount: 1000, subscription: 'local_sub' });
+    expect(emitEvent).toHaveBeenCalledWith('payment.failed', expect.objectContaining({ status: 'canceled' }));
+  });
+
+  it('leaves a payment that already succeeded alone when the failure arrives late', async () => {
+    payments.set('pi_1', { _id: 'payment_1', stripePaymentIntentId: 'pi_1', status: 'succeeded', refunded: true });
+
+    await dispatchStripeEvent(failedEvent);
+
+    expect(payments.get('pi_1')).toMatchObject({ status: 'succeeded', refunded: true });
+    expect(emitEvent).not.toHaveBeenCalled();
+  });
+
+  it('leaves a payment that succeeded while the failure was being handled alone', async () => {
+    // The success lands between the handler's read and its write
+    Payment.findOne.mockImplementationOnce(() => {
+      payments.set('pi_1', { _id: 'payment_1', stripePaymentIntentId: 'pi_1', status: 'succeeded' });
+      return Promise.resolve(null);
+    });
+
+    await dispatchStripeEvent(failedEvent);
+
+    expect(payments.get('pi_1').status).toBe('succeeded');
+    expect(emitEvent).not.toHaveBeenCalled();
+  });
+});
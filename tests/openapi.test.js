@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+const checkOpenApi = require('../scripts/checkOpenApi');
+
+describe('OpenAPI spec', () => {
+  const { routes, problems } = checkOpenApi();
+
+  it('documents every route and method registered in routes/*.js', () => {
+    expect(problems).toEqual([]);
+  });
+
+  it('checks every router file', () => {
+    const files = fs.readdirSync(path.join(__dirname, '..', 'routes'))
+      .filter(file => file.endsWith('.js'))
+      .map(file => `routes/${file}`);
+
+    expect([...new Set(routes.map(route => route.source))].sort()).toEqual(files.sort());
+  });
+});
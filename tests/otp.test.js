@@ -0,0 +1,20 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'otp-test';
+
+const OTP = require('../models/OTP');
+
+describe('OTP#verifyOTP', () => {
+  const buildOTP = (otp) => new OTP({
+    email: 'otp@example.com',
+    otp,
+    type: 'login',
+    expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+  });
+
+  it('counts a stored plaintext code as a failed attempt instead of throwing', () => {
+    const otp = buildOTP('123456');
+
+    expect(otp.verifyOTP('123456')).toEqual({ success: false, message: 'Invalid OTP' });
+    expect(otp.attempts).toBe(1);
+    expect(otp.isUsed).toBe(false);
+  });
+});
@@ -0,0 +1,147 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_reconciliation';
+
+const path = require('path');
+
+jest.mock('../models/Subscription', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  distinct: jest.fn()
+}));
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../models/SubscriptionPlan', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../models/Payment', () => ({
+  exists: jest.fn()
+}));
+jest.mock('../services/subscriptionSyncService', () => ({
+  ...jest.requireActual('../services/subscriptionSyncService'),
+  syncSubscriptionFromStripe: jest.fn()
+}));
+jest.mock('../services/paymentService', () => ({
+  ...jest.requireActual('../services/paymentService'),
+  upsertPaymentForIntent: jest.fn()
+}));
+
+const Subscription = require('../models/Subscription');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { syncSubscriptionFromStripe } = require('../services/subscriptionSyncService');
+const { upsertPaymentForIntent } = require('../services/paymentService');
+const { reconcileStripeData } = require('../services/reconciliationService');
+const { createFixtureStripeClient } = require('../utils/stripeFixtureClient');
+
+// Recorded Stripe state for cus_fixture (and one other customer that must be ignored)
+const FIXTURE = path.join(__dirname, 'fixtures', 'stripe-reconciliation.json');
+const NOW = new Date('2026-10-01T00:00:00.000Z');
+
+const localSubscription = (stripeSubscriptionId, fields = {}) => ({
+  _id: `local_${stripeSubscriptionId}`,
+  user: 'user_fixture',
+  stripeSubscriptionId,
+  stripeCustomerId: 'cus_fixture',
+  subscriptionType: 'recurring',
+  status: 'active',
+  currentPeriodStart: new Date('2026-09-26T00:00:00.000Z'),
+  currentPeriodEnd: new Date('2026-10-03T00:00:00.000Z'),
+  stripePriceId: 'price_recurring',
+  cancelAtPeriodEnd: false,
+  ...fields
+});
+
+describe('reconcileStripeData with a fixture client', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    Subscription.find.mockResolvedValue([
+      localSubscription('sub_match'),
+      localSubscription('sub_mismatch'),
+      localSubscription('sub_gone')
+    ]);
+    Subscription.findOne.mockImplementation(({ stripeSubscriptionId }) =>
+      Promise.resolve(localSubscription(stripeSubscriptionId)));
+    Payment.exists.mockImplementation(({ $or }) =>
+      Promise.resolve($or.some(condition => condition.stripeInvoiceId === 'in_recorded')));
+    syncSubscriptionFromStripe.mockResolvedValue({ subscription: {}, skipped: false });
+    upsertPaymentForIntent.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('reports every difference without changing anything', async () => {
+    const report = await reconcileStripeData({
+      stripeClient: createFixtureStripeClient(FIXTURE),
+      customerIds: ['cus_fixture']
+    });
+
+    expect(report.discrepancies.map(({ type, stripeSubscriptionId, stripeInvoiceId }) => ({
+      type,
+      id: stripeInvoiceId || stripeSubscriptionId
+    }))).toEqual([
+      { type: 'subscription_missing', id: 'sub_missing' },
+      { type: 'subscription_mismatch', id: 'sub_mismatch' },
+      { type: 'subscription_unknown_to_stripe', id: 'sub_gone' },
+      { type: 'payment_missing', id: 'in_unrecorded' }
+    ]);
+
+    const mismatch = report.discrepancies.find(discrepancy => discrepancy.type === 'subscription_mismatch');
+    expect(mismatch.fields).toEqual({
+      status: { local: 'active', stripe: 'past_due' },
+      cancelAtPeriodEnd: { local: false, stripe: true }
+    });
+
+    expect(report.repairedCount).toBe(0);
+    expect(syncSubscriptionFromStripe).not.toHaveBeenCalled();
+    expect(upsertPaymentForIntent).not.toHaveBeenCalled();
+  });
+
+  it('repairs subscriptions and payments from the fixture state', async () => {
+    const report = await reconcileStripeData({
+      stripeClient: createFixtureStripeClient(FIXTURE),
+      customerIds: ['cus_fixture'],
+      repair: true
+    });
+
+    expect(report.repairedCount).toBe(3);
+    expect(syncSubscriptionFromStripe.mock.calls.map(([stripeSubscription]) => stripeSubscription.id))
+      .toEqual(['sub_missing', 'sub_mismatch']);
+    expect(upsertPaymentForIntent).toHaveBeenCalledWith(
+      'pi_unrecorded',
+      expect.objectContaining({ stripeInvoiceId: 'in_unrecorded', amount: 1000, subscription: 'local_sub_mismatch' }),
+      expect.objectContaining({ status: 'succeeded' })
+    );
+  });
+
+  it('repairs without stamping an event time, so any later event still applies', async () => {
+    const actualSync = jest.requireActual('../services/subscriptionSyncService').syncSubscriptionFromStripe;
+    syncSubscriptionFromStripe.mockImplementation(actualSync);
+    User.findOne.mockResolvedValue({ _id: 'user_fixture' });
+    SubscriptionPlan.findOne.mockImplementation(({ stripePriceId }) =>
+      Promise.resolve({ stripePriceId, planType: 'recurring', amount: 1000, currency: 'usd', interval: 'week', intervalCount: 1 }));
+    Subscription.findOneAndUpdate.mockImplementation((filter, update) =>
+      Promise.resolve({ value: { _id: `local_${filter.stripeSubscriptionId}`, ...update.$set }, lastErrorObject: { updatedExisting: true } }));
+
+    await reconcileStripeData({
+      stripeClient: createFixtureStripeClient(FIXTURE),
+      customerIds: ['cus_fixture'],
+      repair: true
+    });
+
+    expect(Subscription.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    for (const [filter, update] of Subscription.findOneAndUpdate.mock.calls) {
+      expect(filter).toEqual({ stripeSubscriptionId: expect.any(String) });
+      expect(update.$set).not.toHaveProperty('lastStripeEventAt');
+    }
+  });
+});
@@ -0,0 +1,94 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'totp-test';
+
+const User = require('../models/User');
+const {
+  base32Encode,
+  generateTOTP,
+  verifyTOTP,
+  encryptSecret
+} = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 key
+const RFC_SECRET = Buffer.from('12345678901234567890', 'ascii');
+
+describe('generateTOTP', () => {
+  it.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924']
+  ])('matches the RFC 6238 SHA-1 vector at T=%i', (time, expected) => {
+    expect(generateTOTP(RFC_SECRET, { time, digits: 8 })).toBe(expected);
+  });
+
+  it('gives the same code for the base32 form of the secret', () => {
+    expect(generateTOTP(base32Encode(RFC_SECRET), { time: 59, digits: 8 })).toBe('94287082');
+  });
+});
+
+describe('verifyTOTP', () => {
+  const time = 1111111111;
+  const step = Math.floor(time / 30);
+  const codeAt = (offset) => generateTOTP(RFC_SECRET, { time: time + offset * 30 });
+
+  it('returns the matching time step', () => {
+    expect(verifyTOTP(RFC_SECRET, codeAt(0), { time })).toBe(step);
+  });
+
+  it('accepts codes one step either side of the current one', () => {
+    expect(verifyTOTP(RFC_SECRET, codeAt(-1), { time })).toBe(step - 1);
+    expect(verifyTOTP(RFC_SECRET, codeAt(1), { time })).toBe(step + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    expect(verifyTOTP(RFC_SECRET, codeAt(-2), { time })).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, codeAt(2), { time })).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, codeAt(2), { time, window: 2 })).toBe(step + 2);
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyTOTP(RFC_SECRET, '12345', { time })).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, undefined, { time })).toBeNull();
+  });
+});
+
+describe('User#verifyTwoFactorCode', () => {
+  const secret = base32Encode(RFC_SECRET);
+
+  const buildUser = () => new User({
+    name: 'Totp Test',
+    email: 'totp@example.com',
+    password: 'password123',
+    twoFactorEnabled: true,
+    twoFactorSecret: encryptSecret(secret)
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1111111111 * 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('rejects a code that was already used', () => {
+    const user = buildUser();
+    const code = generateTOTP(secret, { time: 1111111111 });
+
+    expect(user.verifyTwoFactorCode({ code })).toEqual({ success: true, method: 'totp' });
+    expect(user.verifyTwoFactorCode({ code })).toEqual({
+      success: false,
+      message: 'Authentication code has already been used'
+    });
+  });
+
+  it('rejects an older code once a newer one was used', () => {
+    const user = buildUser();
+    const current = generateTOTP(secret, { time: 1111111111 });
+    const previous = generateTOTP(secret, { time: 1111111111 - 30 });
+
+    expect(user.verifyTwoFactorCode({ code: current }).success).toBe(true);
+    expect(user.verifyTwoFactorCode({ code: previous }).success).toBe(false);
+  });
+});
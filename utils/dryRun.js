@@ -0,0 +1,240 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+// Dry runs execute real handler code but record the writes it would make instead of
+// performing them. Writes are intercepted by the mongoose plugin below; Stripe calls and
+// emails check isDryRun() themselves.
+
+const storage = new AsyncLocalStorage();
+
+const isDryRun = () => Boolean(storage.getStore());
+
+// Record a change that would have been made; no-op outside a dry run
+const recordDryRunChange = (change) => {
+  const store = storage.getStore();
+  if (store) {
+    store.changes.push(change);
+  }
+};
+
+/**
+ * Run a function in dry-run mode
+ * @param {Function} fn - Async function to run
+ * @returns {Object} - { changes, error }
+ */
+const runDryRun = async (fn) => {
+  const store = { changes: [] };
+
+  try {
+    await storage.run(store, fn);
+    return { changes: store.changes, error: null };
+  } catch (error) {
+    return { changes: store.changes, error: error.message };
+  }
+};
+
+// Bookkeeping fields left out of reports
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Values are compared and reported as plain JSON
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const isSame = (a, b) => JSON.stringify(toPlain(a)) === JSON.stringify(toPlain(b));
+
+const isPlainObject = (value) => Boolean(value) && value.constructor === Object;
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => value?.[key], obj);
+
+// Set a dotted path without touching the objects of the original document (undefined removes it)
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = obj;
+  for (const key of keys) {
+    target[key] = isPlainObject(target[key]) ? { ...target[key] } : {};
+    target = target[key];
+  }
+
+  if (value === undefined) {
+    delete target[last];
+  } else {
+    target[last] = value;
+  }
+};
+
+const unsupported = (what) => new Error(`Dry runs can't report ${what}`);
+
+// Items added by $push / $addToSet: a single value or { $each: [...] }
+const eachOf = (value) => {
+  if (!isPlainObject(value) || !('$each' in value)) return [value];
+  if (Object.keys(value).length > 1) throw unsupported('$push modifiers other than $each');
+  return value.$each;
+};
+
+// Whether an array item matches a $pull condition: a value, { $in: [...] } or a subdocument match
+const matchesPull = (item, condition) => {
+  if (!isPlainObject(condition)) return isSame(item, condition);
+
+  const keys = Object.keys(condition);
+  if (keys.length === 1 && keys[0] === '$in') {
+    return condition.$in.some(value => isSame(item, value));
+  }
+  if (keys.some(key => key.startsWith('$'))) {
+    throw unsupported(`$pull conditions with ${keys.join(', ')}`);
+  }
+  return keys.every(key => isSame(getPath(item, key), condition[key]));
+};
+
+// New value of a path for each update operator the dry run understands
+const APPLY_OPERATOR = {
+  $set: (current, value) => value,
+  $setOnInsert: (current, value) => value,
+  $unset: () => undefined,
+  $inc: (current, amount) => (current || 0) + amount,
+  $mul: (current, factor) => (current || 0) * factor,
+  $min: (current, value) => (current == null || value < current ? value : current),
+  $max: (current, value) => (current == null || value > current ? value : current),
+  $currentDate: () => new Date(),
+  $push: (current, value) => [...(current || []), ...eachOf(value)],
+  $addToSet: (current, value) => eachOf(value).reduce(
+    (list, item) => (list.some(existing => isSame(existing, item)) ? list : [...list, item]),
+    current || []
+  ),
+  $pull: (current, condition) => (current || []).filter(item => !matchesPull(item, condition))
+};
+
+/**
+ * Apply an update to a copy of a document, the way MongoDB would
+ * Throws on operators and paths it can't reproduce, so a dry run never reports less than the update does.
+ * @param {Object} existing - Matched document (lean), or null for an insert
+ * @param {Object} update - Update document
+ * @returns {Object} - { after, paths }
+ */
+const applyUpdate = (existing, update) => {
+  if (Array.isArray(update)) throw unsupported('pipeline updates');
+
+  const after = { ...(existing || {}) };
+  const paths = new Set();
+
+  for (const [key, value] of Object.entries(update)) {
+    // Plain fields are shorthand for $set
+    const [operator, fields] = key.startsWith('$') ? [key, value] : ['$set', { [key]: value }];
+    if (operator === '$setOnInsert' && existing) continue;
+
+    const apply = APPLY_OPERATOR[operator];
+    if (!apply) throw unsupported(`${operator} updates`);
+
+    for (const [path, argument] of Object.entries(fields || {})) {
+      if (path.includes('$')) throw unsupported(`positional updates (${path})`);
+
+      setPath(after, path, apply(getPath(after, path), argument));
+      paths.add(path);
+    }
+  }
+
+  return { after, paths: [...paths] };
+};
+
+/**
+ * Mongoose plugin: while a dry run is active, saves and update queries are skipped
+ * and reported as field changes ({ path: { from, to } }). An update the dry run can't
+ * reproduce fails the dry run instead of being left out of the report.
+ */
+const dryRunPlugin = (schema) => {
+  // Snapshot loaded documents so saves can report what changed
+  schema.post('init', function() {
+    if (isDryRun()) {
+      this.$locals.dryRunOriginal = toPlain(this.toObject({ depopulate: true }));
+    }
+  });
+
+  schema.pre('save', function(next) {
+    if (!isDryRun()) return next();
+
+    const modelName = this.constructor.modelName;
+    const original = this.$locals.dryRunOriginal || {};
+    const current = toPlain(this.toObject({ depopulate: true }));
+    const modifiedPaths = this.modifiedPaths();
+    const paths = this.isNew
+      ? Object.keys(current)
+      : modifiedPaths.filter(path => !modifiedPaths.some(parent => path.startsWith(`${parent}.`)));
+
+    const fields = {};
+    for (const path of paths) {
+      if (IGNORED_PATHS.includes(path)) continue;
+
+      const from = this.isNew ? null : toPlain(getPath(original, path));
+      const to = toPlain(this.get(path));
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        fields[path] = { from, to };
+      }
+    }
+
+    if (Object.keys(fields).length > 0) {
+      recordDryRunChange({
+        model: modelName,
+        operation: this.isNew ? 'create' : 'update',
+        id: String(this._id),
+        fields
+      });
+    }
+
+    next(mongoose.skipMiddlewareFunction(this));
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+    if (!isDryRun()) return;
+
+    const existing = await this.model.findOne(this.getFilter()).lean();
+    const { upsert, includeResultMetadata } = this.getOptions();
+
+    // Nothing matches and nothing would be inserted
+    if (!existing && !upsert) {
+      const empty = includeResultMetadata ? { value: null, ok: 1, lastErrorObject: { updatedExisting: false } } : null;
+      throw mongoose.skipMiddlewareFunction(
+        this.op === 'findOneAndUpdate' ? empty : { acknowledged: true, matchedCount: 0, modifiedCount: 0 }
+      );
+    }
+
+    const { after, paths } = applyUpdate(existing, this.getUpdate() || {});
+
+    const fields = {};
+    for (const path of paths) {
+      if (IGNORED_PATHS.includes(path)) continue;
+
+      const from = existing ? toPlain(getPath(existing, path)) : null;
+      const to = toPlain(getPath(after, path));
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        fields[path] = { from, to };
+      }
+    }
+
+    if (Object.keys(fields).length > 0) {
+      recordDryRunChange({
+        model: this.model.modelName,
+        operation: existing ? 'update' : 'create',
+        id: existing ? String(existing._id) : null,
+        filter: toPlain(this.getFilter()),
+        fields
+      });
+    }
+
+    // Hand the handler a result shaped like the one the real query would return
+    let result = { acknowledged: true, matchedCount: existing ? 1 : 0, modifiedCount: 0 };
+    if (this.op === 'findOneAndUpdate') {
+      const doc = this.model.hydrate({ _id: new mongoose.Types.ObjectId(), ...after });
+      result = includeResultMetadata
+        ? { value: doc, ok: 1, lastErrorObject: { updatedExisting: Boolean(existing) } }
+        : doc;
+    }
+
+    throw mongoose.skipMiddlewareFunction(result);
+  });
+};
+
+module.exports = {
+  isDryRun,
+  recordDryRunChange,
+  runDryRun,
+  dryRunPlugin
+};
@@ -1,7 +1,18 @@
 const nodemailer = require('nodemailer');
+const { isDryRun, recordDryRunChange } = require('./dryRun');
 
 // Create reusable transporter object using SMTP transport
 const createTransporter = () => {
+  // Dry runs report the email instead of sending it
+  if (isDryRun()) {
+    return {
+      sendMail: async (mailOptions) => {
+        recordDryRunChange({ model: 'Email', operation: 'send', to: mailOptions.to, subject: mailOptions.subject });
+        return { messageId: 'dry-run' };
+      }
+    };
+  }
+
   return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: parseInt(process.env.EMAIL_PORT, 10), // Ensure it's a number
@@ -14,6 +25,14 @@ const createTransporter = () => {
   });
 };
 
+// Escape request-supplied values (e.g. the User-Agent) before putting them into HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Send OTP email
 const sendOTPEmail = async (email, otp, type) => {
   try {
@@ -67,6 +86,21 @@ const sendOTPEmail = async (email, otp, type) => {
         `;
         break;
 
+      case 'email_change':
+        subject = 'Confirm Your New Email - OTP Code';
+        html = `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #333;">Confirm Your New Email Address</h2>
+            <p>You asked to use this address for your account. Please use the following OTP to confirm:</p>
+            <div style="background-color: #f4f4f4; padding: 20px; text-align: center; margin: 20px 0;">
+              <h1 style="color: #007bff; margin: 0; font-size: 32px; letter-spacing: 5px;">${otp}</h1>
+            </div>
+            <p>This OTP will expire in 10 minutes.</p>
+            <p>If you didn't request this change, please ignore this email.</p>
+          </div>
+        `;
+        break;
+
       default:
         throw new Error('Invalid OTP type');
     }
@@ -157,8 +191,304 @@ const sendSubscriptionEmail = async (email, name, subscriptionType, amount) => {
   }
 };
 
+// Send account locked email with unlock link
+const sendAccountLockedEmail = async (email, name, unlockUrl, lockUntil) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"GhostSnap" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your account has been temporarily locked',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Account Temporarily Locked</h2>
+          <p>Hi ${name},</p>
+          <p>We locked verification codes on your account after too many incorrect attempts.</p>
+          <p>The lock lifts automatically at <strong>${lockUntil.toUTCString()}</strong>.</p>
+          <p>If this was you, you can unlock your account right away:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${unlockUrl}"
+               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
+              Unlock My Account
+            </a>
+          </div>
+          <p>If this wasn't you, someone may be trying to access your account. Consider changing your password.</p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Account locked email sent: ' + info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    throw new Error('Failed to send account locked email');
+  }
+};
+
+// Send new sign-in notification email
+const sendNewSignInEmail = async (email, name, { ipAddress, userAgent, time }) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"GhostSnap" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'New sign-in to your account',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">New Sign-In Detected</h2>
+          <p>Hi ${name},</p>
+          <p>Your account was just signed in to from a device we haven't seen before.</p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p><strong>Time:</strong> ${time.toUTCString()}</p>
+            <p><strong>IP address:</strong> ${ipAddress ? escapeHtml(ipAddress) : 'Unknown'}</p>
+            <p><strong>Device:</strong> ${userAgent ? escapeHtml(userAgent) : 'Unknown'}</p>
+          </div>
+          <p>If this was you, you can ignore this email.</p>
+          <p>If it wasn't, change your password right away and sign out of other sessions.</p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('New sign-in email sent: ' + info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending new sign-in email:', error);
+    throw new Error('Failed to send new sign-in email');
+  }
+};
+
+// Send notice to the old address that an email change was requested
+const sendEmailChangeNoticeEmail = async (email, name, newEmail) => {
+  try {
+    const transporter = createTransporter();
+
+    // Only show enough of the new address to recognise it
+    const [localPart, domain] = newEmail.split('@');
+    const maskedEmail = `${localPart.slice(0, 2)}***@${domain}`;
+
+    const mailOptions = {
+      from: `"GhostSnap" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Email change requested for your account',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Email Change Requested</h2>
+          <p>Hi ${name},</p>
+          <p>Someone asked to change the email address of your account to <strong>${maskedEmail}</strong>.</p>
+          <p>The change only takes effect once it is confirmed with a code sent to the new address.</p>
+          <p>If this wasn't you, change your password right away and sign out of other sessions.</p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Email change notice sent: ' + info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending email change notice:', error);
+    throw new Error('Failed to send email change notice');
+  }
+};
+
+// Send refund notification email
+const sendRefundEmail = async (email, name, { amount, currency, fullRefund }) => {
+  try {
+    const transporter = createTransporter();
+
+    const formattedAmount = `${(amount / 100).toFixed(2)} ${(currency || 'eur').toUpperCase()}`;
+
+    const mailOptions = {
+      from: `"GhostSnap" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your refund is on its way',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Refund Issued</h2>
+          <p>Hi ${name},</p>
+          <p>We've refunded <strong>${formattedAmount}</strong> to your original payment method.</p>
+          <p>${fullRefund ? 'Your payment has been refunded in full.' : 'This is a partial refund of your payment.'}</p>
+          <p>Refunds usually appear on your statement within 5-10 business days.</p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Refund email sent: ' + info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending refund email:', error);
+    throw new Error('Failed to send refund email');
+  }
+};
+
+// Send refund failure email
+const sendRefundFailedEmail = async (email, name, { amount, currency }) => {
+  try {
+    const transporter = createTransporter();
+
+    const formattedAmount = `${(amount / 100).toFixed(2)} ${(currency || 'eur').toUpperCase()}`;
+
+    const mailOptions = {
+      from: `"GhostSnap" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'We could not complete your refund',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Refund Failed</h2>
+          <p>Hi ${name},</p>
+          <p>Your refund of <strong>${formattedAmount}</strong> could not be sent to your original payment method,
+             for example because the card has expired or been closed.</p>
+          <p>Please contact support so we can refund you another way.</p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Refund failed email sent: ' + info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending refund failed email:', error);
+    throw new Error('Failed to send refund failed email');
+  }
+};
+
+// Send payment dispute email (when opened and when closed)
+const sendDisputeEmail = async (email, name, { amount, currency, status, accessSuspended }) => {
+  try {
+    const transporter = createTransporter();
+
+    const formattedAmount = `${(amount / 100).toFixed(2)} ${(currency || 'eur').toUpperCase()}`;
+    const closed = ['won', 'lost', 'warning_closed'].includes(status);
+
+    let message;
+    if (!closed) {
+      message = `<p>Your bank has told us you disputed a payment of <strong>${formattedAmount}</strong>.</p>
+          ${accessSuspended ? '<p>Access to your subscription is paused while the dispute is reviewed.</p>' : ''}
+          <p>If you didn't mean to dispute this payment, please contact your bank and our support team.</p>`;
+    } else if (status === 'lost') {
+      message = `<p>The dispute for your payment of <strong>${formattedAmount}</strong> was resolved in your favour
+             and the amount has been returned to you by your bank.</p>`;
+    } else {
+      message = `<p>The dispute for your payment of <strong>${formattedAmount}</strong> has been closed and the
+             payment stands.</p>
+          ${accessSuspended ? '' : '<p>Your subscription is fully available.</p>'}`;
+    }
+
+    const mailOptions = {
+      from: `"GhostSnap" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: closed ? 'Your payment dispute has been closed' : 'A payment on your account was disputed',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">${closed ? 'Payment Dispute Closed' : 'Payment Disputed'}</h2>
+          <p>Hi ${name},</p>
+          ${message}
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Dispute email sent: ' + info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending dispute email:', error);
+    throw new Error('Failed to send dispute email');
+  }
+};
+
+// Trial reminder / conversion emails share the charges and the cancel button:
+// the initial price billed when the trial ends (first paid week), then the weekly price
+const trialChargeDetails = ({
+  initialAmount,
+  initialChargeAt,
+  recurringAmount,
+  currency,
+  recurringStartsAt,
+  cancelUrl
+}, { initialCharged = false } = {}) => `
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>${initialCharged ? 'Charged' : 'First charge'}:</strong> ${(initialAmount / 100).toFixed(2)} ${(currency || 'eur').toUpperCase()} on ${initialChargeAt.toUTCString()} for your first week</p>
+            <p style="margin: 10px 0 0 0;"><strong>Then:</strong> ${(recurringAmount / 100).toFixed(2)} ${(currency || 'eur').toUpperCase()} per week from ${recurringStartsAt.toUTCString()}</p>
+          </div>
+          <p>Don't want to continue? You can cancel with one click; you keep access until the end of the period you've paid for.</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${cancelUrl}"
+               style="background-color: #6c757d; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
+              Cancel My Subscription
+            </a>
+          </div>`;
+
+// Send trial ending reminder email
+const sendTrialReminderEmail = async (email, name, { hoursLeft, trialEnd, ...charge }) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"GhostSnap" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `Your trial ends in ${hoursLeft} hours`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Your Trial Is Ending Soon</h2>
+          <p>Hi ${name},</p>
+          <p>Your trial ends at <strong>${trialEnd.toUTCString()}</strong>.</p>
+          <p>Unless you cancel before then, you will be charged:</p>
+          ${trialChargeDetails(charge)}
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Trial reminder email sent: ' + info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending trial reminder email:', error);
+    throw new Error('Failed to send trial reminder email');
+  }
+};
+
+// Send trial ended (converted to paid) email
+const sendTrialEndedEmail = async (email, name, charge) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"GhostSnap" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your trial has ended',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Your Trial Has Ended</h2>
+          <p>Hi ${name},</p>
+          <p>Your trial is over and your subscription is now active.</p>
+          ${trialChargeDetails(charge, { initialCharged: true })}
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Trial ended email sent: ' + info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending trial ended email:', error);
+    throw new Error('Failed to send trial ended email');
+  }
+};
+
 module.exports = {
   sendOTPEmail,
   sendWelcomeEmail,
   sendSubscriptionEmail,
+  sendAccountLockedEmail,
+  sendNewSignInEmail,
+  sendEmailChangeNoticeEmail,
+  sendRefundEmail,
+  sendRefundFailedEmail,
+  sendDisputeEmail,
+  sendTrialReminderEmail,
+  sendTrialEndedEmail,
 };
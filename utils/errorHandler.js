@@ -1,8 +1,9 @@
 // Custom error class
 class ErrorResponse extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, code = null) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code;
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
@@ -60,6 +61,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
+    ...(typeof error.code === 'string' && { code: error.code }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -1,9 +1,14 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Refresh token lifetime in days
+const getRefreshExpireDays = () =>
+  Number(process.env.JWT_REFRESH_EXPIRE_DAYS || process.env.JWT_COOKIE_EXPIRE || 7);
 
 // Generate JWT Token
 const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
@@ -16,19 +21,75 @@ const verifyToken = (token) => {
   }
 };
 
-// Generate token and send response
-const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
-  // Create token
-  const token = generateToken({ 
+// Short-lived token proving the first login step passed (e.g. password before 2FA)
+const generateChallengeToken = (user, purpose) => {
+  return jwt.sign({ id: user._id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: process.env.LOGIN_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+// Verify a challenge token was issued for the given purpose; returns null otherwise
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Long-lived token for the one-click cancel link in trial emails
+const generateCancelLinkToken = (subscription) => {
+  return jwt.sign({ sub: String(subscription._id), purpose: 'cancel_subscription' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.CANCEL_LINK_EXPIRE || '14d'
+  });
+};
+
+// Subscription ID from a cancel link token; null if invalid or expired
+const verifyCancelLinkToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === 'cancel_subscription' ? decoded.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up directly
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [sessionId, secret] = token.split('.');
+  if (!/^[a-f0-9]{24}$/i.test(sessionId || '') || !secret) return null;
+
+  return { sessionId, secret };
+};
+
+// Clear auth cookies
+const clearAuthCookies = (res) => {
+  const options = {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  };
+
+  res.cookie('token', 'none', options);
+  res.cookie('refreshToken', 'none', { ...options, path: '/api/auth' });
+};
+
+// Send access + refresh tokens for an existing session
+const sendSessionTokens = (user, session, refreshSecret, statusCode, res, message = 'Success') => {
+  const token = generateToken({
     id: user._id,
     email: user.email,
-    role: user.role 
+    role: user.role,
+    sid: session._id
   });
+  const refreshToken = buildRefreshToken(session._id, refreshSecret);
 
   const options = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRE || 7) * 24 * 60 * 60 * 1000
-    ),
+    expires: session.expiresAt,
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',
     sameSite: 'strict'
@@ -37,10 +98,12 @@ const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
   res
     .status(statusCode)
     .cookie('token', token, options)
+    .cookie('refreshToken', refreshToken, { ...options, path: '/api/auth' })
     .json({
       success: true,
       message,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -52,8 +115,30 @@ const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
     });
 };
 
+// Start a new session and send its tokens
+const sendTokenResponse = async (user, statusCode, req, res, message = 'Success') => {
+  const refreshSecret = Session.generateRefreshSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(refreshSecret),
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    expiresAt: new Date(Date.now() + getRefreshExpireDays() * 24 * 60 * 60 * 1000)
+  });
+
+  sendSessionTokens(user, session, refreshSecret, statusCode, res, message);
+};
+
 module.exports = {
   generateToken,
   verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateCancelLinkToken,
+  verifyCancelLinkToken,
+  parseRefreshToken,
+  clearAuthCookies,
+  sendSessionTokens,
   sendTokenResponse
 };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+
+// A stand-in for the Stripe client's list endpoints, backed by recorded objects.
+// Lets reconciliation run against a known Stripe state without network access.
+// Fixture format: { "subscriptions": [<Stripe subscription>], "invoices": [<Stripe invoice>] }
+
+// Apply the list filters reconciliation uses, then paginate like Stripe (newest first)
+const listFrom = (items, { customer, status, created, limit = 10, starting_after: startingAfter }) => {
+  let matches = items
+    .filter(item => !customer || item.customer === customer)
+    .filter(item => !status || status === 'all' || item.status === status)
+    .filter(item => !created?.gte || item.created >= created.gte)
+    .sort((a, b) => (b.created || 0) - (a.created || 0));
+
+  if (startingAfter) {
+    const index = matches.findIndex(item => item.id === startingAfter);
+    matches = matches.slice(index + 1);
+  }
+
+  return Promise.resolve({
+    object: 'list',
+    data: matches.slice(0, limit),
+    has_more: matches.length > limit
+  });
+};
+
+/**
+ * Create a client exposing subscriptions.list and invoices.list over fixture data
+ * @param {Object|string} fixture - Fixture object or path to a JSON fixture file
+ * @returns {Object} - Client usable as reconcileStripeData's stripeClient
+ */
+const createFixtureStripeClient = (fixture) => {
+  const data = typeof fixture === 'string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : fixture;
+  const subscriptions = data.subscriptions || [];
+  const invoices = data.invoices || [];
+
+  return {
+    subscriptions: {
+      list: (params = {}) => listFrom(subscriptions, params)
+    },
+    invoices: {
+      list: (params = {}) => listFrom(invoices, params)
+    }
+  };
+};
+
+/**
+ * Wrap a real client so every object its list endpoints return is recorded as a fixture
+ * @param {Object} client - Stripe client
+ * @returns {Object} - { client, fixture }
+ */
+const createRecordingStripeClient = (client) => {
+  const fixture = { subscriptions: [], invoices: [] };
+
+  const record = (resource) => async (params) => {
+    const page = await client[resource].list(params);
+    fixture[resource].push(...page.data);
+    return page;
+  };
+
+  return {
+    client: {
+      subscriptions: { list: record('subscriptions') },
+      invoices: { list: record('invoices') }
+    },
+    fixture
+  };
+};
+
+module.exports = {
+  createFixtureStripeClient,
+  createRecordingStripeClient
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (authenticator apps)
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_OPTIONS = {
+  step: 30, // seconds
+  digits: 6,
+  algorithm: 'sha1',
+  window: 1 // accepted steps of clock drift either side
+};
+
+// Encode buffer as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode RFC 4648 base32 (case-insensitive, padding and spaces ignored)
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random secret, base32 encoded
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+const toKey = (secret) => (Buffer.isBuffer(secret) ? secret : base32Decode(secret));
+
+// RFC 4226 HOTP value for a counter
+const generateHOTP = (secret, counter, options = {}) => {
+  const { digits, algorithm } = { ...DEFAULT_OPTIONS, ...options };
+
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, toKey(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+// Time step for a unix time in seconds
+const getTimeStep = (time = Date.now() / 1000, step = DEFAULT_OPTIONS.step) => Math.floor(time / step);
+
+// TOTP value at a unix time in seconds
+const generateTOTP = (secret, options = {}) => {
+  const { step, time } = { ...DEFAULT_OPTIONS, ...options };
+  return generateHOTP(secret, getTimeStep(time, step), options);
+};
+
+/**
+ * Verify a TOTP code within the allowed drift window
+ * @param {string|Buffer} secret - base32 secret or raw key
+ * @param {string} code - code entered by the user
+ * @param {Object} options - step, digits, algorithm, window, time
+ * @returns {number|null} - matching time step, or null if the code is invalid
+ */
+const verifyTOTP = (secret, code, options = {}) => {
+  const { step, digits, window, time } = { ...DEFAULT_OPTIONS, ...options };
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (normalized.length !== digits || !/^\d+$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHOTP(secret, currentStep + offset, options);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URL understood by authenticator apps (rendered as a QR code by the client)
+const buildOtpAuthUrl = ({ secret, label, issuer }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULT_OPTIONS.algorithm.toUpperCase(),
+    digits: String(DEFAULT_OPTIONS.digits),
+    period: String(DEFAULT_OPTIONS.step)
+  });
+
+  return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params.toString()}`;
+};
+
+// Secrets are stored encrypted (AES-256-GCM) so a database leak does not expose them
+const getEncryptionKey = () =>
+  crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like "a1b2-c3d4"; only their hashes are stored
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUrl,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};